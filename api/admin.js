@@ -0,0 +1,185 @@
+const { getOrder, listOrders, isHeld, isActive } = require('../lib/orders');
+const { listUndeliveredMembers } = require('../lib/group-orders');
+const { retryGroupOrder } = require('../lib/dispatch');
+const { isScheduledForLater, formatSchedule } = require('../lib/scheduled-delivery');
+const { filterOrders, orderRow, orderStats, ordersToCsv, ORDER_COLUMNS } = require('../lib/admin');
+const { deliveryHandler, resendCertificate } = require('../lib/delivery');
+const { submitPrintOrder } = require('../lib/fulfillment');
+const { requiresShipping } = require('../lib/catalog');
+const { listDeadLetters } = require('../lib/outbox');
+const { requireAuth } = require('../lib/auth');
+const { approveOrder, rejectOrder } = require('../lib/moderation');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * /api/admin
+ *
+ * Backs the admin dashboard (public/admin.html). Every request needs
+ * Authorization: Bearer $ADMIN_SECRET or $CRON_SECRET (see lib/auth.js).
+ * Refunds go through /api/refunds.
+ *
+ * Filters, on every GET except the single-order lookup:
+ *   status (comma-separated), style, tier, from, to (YYYY-MM-DD, UTC),
+ *   problems=1 (only orders that need attention),
+ *   moderation (held, approved, rejected; comma-separated)
+ *
+ * GET  ?limit=&offset=               Orders matching the filters, newest first
+ * GET  ?view=stats                   Counts, revenue per day, style and
+ *                                    faculty, and problem orders
+ * GET  ?format=csv                   Every matching order as a CSV download
+ * GET  ?orderNumber=...              One order's full record
+ * POST { action: 'resend', orderNumber }
+ *      Email a delivered certificate again (no resend limit)
+ * POST { action: 'regenerate', orderNumber }
+ *      Retry whatever hasn't happened yet: rendering and emailing the
+ *      certificate, and submitting the print job. A group order's members
+ *      are queued for the cron job, as at payment; a gift scheduled for
+ *      later is refused until its date (print jobs go through
+ *      /api/fulfillment).
+ * POST { action: 'approve', orderNumber, note? }
+ *      Let text held by moderation through (see lib/moderation.js), and
+ *      dispatch the order if it's paid
+ * POST { action: 'reject', orderNumber, note? }
+ *      Turn held text down; the order is never delivered. Refund it next.
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// ===========================================
+// GET: Orders, stats and exports
+// ===========================================
+async function handleGet(req, res) {
+  if (req.query.orderNumber) {
+    const order = await getOrder(req.query.orderNumber);
+    if (!order) {
+      return res.status(404).json({ error: `Order not found: ${req.query.orderNumber}` });
+    }
+    return res.status(200).json({ order });
+  }
+
+  const orders = filterOrders(await listOrders(), {
+    status: req.query.status,
+    style: req.query.style,
+    tier: req.query.tier,
+    from: req.query.from,
+    to: req.query.to,
+    problems: Boolean(req.query.problems),
+    moderation: req.query.moderation,
+  });
+
+  if (req.query.format === 'csv') {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="phuckery-orders-${date}.csv"`);
+    return res.status(200).send(ordersToCsv(orders));
+  }
+
+  if (req.query.view === 'stats') {
+    const deadLetters = await listDeadLetters();
+    return res.status(200).json({ ...orderStats(orders), deadLetters: deadLetters.length });
+  }
+
+  const limit = Math.min(Number(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  return res.status(200).json({
+    columns: ORDER_COLUMNS,
+    total: orders.length,
+    orders: orders.slice(offset, offset + limit).map(orderRow),
+  });
+}
+
+// ===========================================
+// POST: One-click actions
+// ===========================================
+async function handleAction(req, res) {
+  const { action, orderNumber } = req.body || {};
+  if (!action || !orderNumber) {
+    return res.status(400).json({ error: 'Missing required fields', message: 'action and orderNumber are required' });
+  }
+
+  let order = await getOrder(orderNumber);
+  if (!order) {
+    return res.status(404).json({ error: `Order not found: ${orderNumber}` });
+  }
+
+  // Reviews come first: a held order isn't active until it's approved
+  if (action === 'approve' || action === 'reject') {
+    if (!isHeld(order) || order.moderation.status !== 'held') {
+      return res.status(409).json({ error: `Order ${orderNumber} isn't held for review` });
+    }
+    const review = { reviewedBy: 'admin dashboard', note: req.body.note };
+    order = action === 'approve' ? await approveOrder(order, review) : await rejectOrder(order, review);
+    return res.status(200).json({ success: true, order: orderRow(order) });
+  }
+
+  if (isHeld(order)) {
+    const review = order.moderation.status === 'held' ? 'is held for review' : 'was rejected in review';
+    return res.status(409).json({ error: `Order ${orderNumber} ${review}` });
+  }
+  if (!isActive(order)) {
+    return res.status(409).json({ error: `Order ${orderNumber} is ${order.status}` });
+  }
+
+  if (action === 'resend') {
+    if (order.status !== 'emailed') {
+      return res.status(409).json({ error: `Order ${orderNumber} hasn't been delivered yet; regenerate it instead` });
+    }
+    order = await resendCertificate(orderNumber, { force: true });
+    return res.status(200).json({ success: true, order: orderRow(order) });
+  }
+
+  if (action === 'regenerate') {
+    // A group order's diplomas are printed as its members' orders
+    const needsPrint = requiresShipping(order.tier) && !order.shipment && !order.group;
+    if (order.status === 'emailed' && !needsPrint) {
+      return res.status(409).json({ error: `Order ${orderNumber} is already delivered; resend it instead` });
+    }
+    if (isScheduledForLater(order)) {
+      return res.status(409).json({ error: `Order ${orderNumber} is scheduled for delivery on ${formatSchedule(order.scheduledDelivery)}` });
+    }
+
+    // Rendering every member takes longer than this request has, so they're
+    // queued, and the bundle can't go out until they're delivered
+    if (order.group) {
+      await retryGroupOrder(order);
+      if ((await listUndeliveredMembers(order)).length > 0) {
+        return res.status(202).json({ success: true, queued: true, order: orderRow(order) });
+      }
+    }
+
+    // Through the outbox handler, so a failure is recorded on the order
+    await deliveryHandler.run({ orderNumber });
+    if (needsPrint) {
+      await submitPrintOrder(orderNumber);
+    }
+    return res.status(200).json({ success: true, order: orderRow(await getOrder(orderNumber)) });
+  }
+
+  return res.status(400).json({ error: `Unknown action: ${action}` });
+}
+
+// ===========================================
+// HANDLER
+// ===========================================
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, POST, OPTIONS', 'Content-Type, Authorization')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAuth(req, res, ['ADMIN_SECRET', 'CRON_SECRET'])) return;
+
+  try {
+    return await (req.method === 'GET' ? handleGet(req, res) : handleAction(req, res));
+  } catch (error) {
+    console.error('Admin error:', error);
+    res.status(500).json({ error: 'Admin request failed', message: error.message });
+  }
+};
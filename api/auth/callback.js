@@ -1,7 +1,13 @@
+import { timingSafeEqual } from 'crypto';
+import { exchangeAuthorizationCode } from '../../lib/canva-tokens';
+
 /**
  * GET /api/auth/callback
  * 
- * Handles OAuth callback from Canva, exchanges code for tokens.
+ * Handles OAuth callback from Canva: checks the state against the one
+ * /api/auth/login gave this browser, exchanges the code for tokens and
+ * stores them encrypted on the server (lib/canva-tokens.js). The tokens
+ * are never shown.
  */
 
 // Simple cookie parser (no external dependency)
@@ -18,14 +24,30 @@ function parseCookies(cookieHeader) {
   return cookies;
 }
 
+function stateMatches(expected, actual) {
+  if (!expected || typeof actual !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { code, error, error_description } = req.query;
+  const { code, state, error, error_description } = req.query;
+
+  // Single use, whatever happens next
+  res.setHeader('Set-Cookie', [
+    'code_verifier=; HttpOnly; Secure; Path=/; Max-Age=0',
+    'oauth_state=; HttpOnly; Secure; Path=/; Max-Age=0',
+  ]);
 
+  // Anyone can put anything in these, so they're never sent as HTML
   if (error) {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
     return res.status(400).send(`Auth failed: ${error} - ${error_description || ''}`);
   }
 
@@ -33,50 +55,28 @@ export default async function handler(req, res) {
     return res.status(400).send('Missing authorization code');
   }
 
-  // Retrieve code_verifier from cookie
+  // Retrieve code_verifier and state from cookies
   const cookies = parseCookies(req.headers.cookie);
   const codeVerifier = cookies.code_verifier;
 
-  if (!codeVerifier) {
-    return res.status(400).send('Missing code_verifier. Please start the auth flow again at /api/auth/login');
+  if (!codeVerifier || !stateMatches(cookies.oauth_state, state)) {
+    return res.status(400).send('This sign-in link is invalid or has expired. Please connect Canva again from the admin dashboard.');
   }
 
   try {
-    const tokenResponse = await fetch('https://api.canva.com/rest/v1/oauth/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        code_verifier: codeVerifier,
-        client_id: process.env.CANVA_CLIENT_ID,
-        client_secret: process.env.CANVA_CLIENT_SECRET,
-        redirect_uri: 'https://phuckeryuniversity.vercel.app/api/auth/callback',
-      }),
-    });
-
-    const tokenData = await tokenResponse.json();
-
-    if (!tokenResponse.ok) {
-      throw new Error(tokenData.error_description || tokenData.error || 'Token exchange failed');
-    }
-
-    // Clear the cookie
-    res.setHeader('Set-Cookie', 'code_verifier=; HttpOnly; Secure; Path=/; Max-Age=0');
+    const tokens = await exchangeAuthorizationCode(code, codeVerifier);
 
     return res.status(200).send(`
       <html>
         <body style="font-family: sans-serif; padding: 40px; max-width: 800px; margin: 0 auto;">
-          <h1>✅ Success!</h1>
-          <p>Add this to Vercel Environment Variables as <strong>CANVA_ACCESS_TOKEN</strong>:</p>
-          <textarea readonly style="width:100%;height:100px;font-family:monospace;">${tokenData.access_token}</textarea>
-          <p style="margin-top:20px;">Refresh token (save this too as <strong>CANVA_REFRESH_TOKEN</strong>):</p>
-          <textarea readonly style="width:100%;height:60px;font-family:monospace;">${tokenData.refresh_token || 'N/A'}</textarea>
-          <p style="color:orange;margin-top:20px;">⚠️ Copy these NOW and add to Vercel, then redeploy!</p>
+          <h1>✅ Canva connected</h1>
+          <p>The tokens are stored on the server and refresh automatically${tokens.expiresAt ? ` (this access token expires ${tokens.expiresAt})` : ''}.</p>
+          <p><a href="/admin.html">Back to the admin dashboard</a></p>
         </body>
       </html>
     `);
   } catch (err) {
-    return res.status(500).send(`Error: ${err.message}`);
+    console.error('Canva OAuth callback error:', err);
+    return res.status(500).send('Connecting Canva failed. Please try again from the admin dashboard.');
   }
 }
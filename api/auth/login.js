@@ -1,19 +1,33 @@
 import { randomBytes, createHash } from 'crypto';
+import { REDIRECT_URI } from '../../lib/canva-tokens';
+import { requireAuth } from '../../lib/auth';
 
 /**
- * GET /api/auth/login
+ * POST /api/auth/login
  * 
- * Redirects to Canva's OAuth authorization page with PKCE.
+ * Starts connecting the site's Canva account: returns Canva's OAuth
+ * authorization URL (with PKCE and a random state) for the browser to go
+ * to. The tokens end up in the server-side store (see /api/auth/callback),
+ * so only an operator may start this, from the admin dashboard, with
+ * Authorization: Bearer $ADMIN_SECRET.
+ *
+ * GET sends a browser to the admin dashboard to do that.
  */
 export default async function handler(req, res) {
-  if (req.method !== 'GET') {
+  if (req.method === 'GET') {
+    return res.redirect(302, '/admin.html');
+  }
+
+  if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (!requireAuth(req, res, ['ADMIN_SECRET'])) return;
+
   const clientId = process.env.CANVA_CLIENT_ID;
   
   if (!clientId) {
-    return res.status(500).send('CANVA_CLIENT_ID not configured');
+    return res.status(500).json({ error: 'Server configuration error', message: 'CANVA_CLIENT_ID not configured' });
   }
 
   // Generate PKCE values
@@ -22,8 +36,14 @@ export default async function handler(req, res) {
     .update(codeVerifier)
     .digest('base64url');
 
-  // Store code_verifier in a cookie for the callback to retrieve
-  res.setHeader('Set-Cookie', `code_verifier=${codeVerifier}; HttpOnly; Secure; SameSite=Lax; Path=/; Max-Age=600`);
+  // The callback only accepts the state this browser was given
+  const state = randomBytes(24).toString('base64url');
+
+  // Store code_verifier and state in cookies for the callback to retrieve
+  res.setHeader('Set-Cookie', [
+    `code_verifier=${codeVerifier}; HttpOnly; Secure; SameSite=Lax; Path=/; Max-Age=600`,
+    `oauth_state=${state}; HttpOnly; Secure; SameSite=Lax; Path=/; Max-Age=600`,
+  ]);
 
   const scopes = [
     'asset:read',
@@ -37,11 +57,11 @@ export default async function handler(req, res) {
   const authUrl = new URL('https://www.canva.com/api/oauth/authorize');
   authUrl.searchParams.set('response_type', 'code');
   authUrl.searchParams.set('client_id', clientId);
-  authUrl.searchParams.set('redirect_uri', 'https://phuckeryuniversity.vercel.app/api/auth/callback');
+  authUrl.searchParams.set('redirect_uri', REDIRECT_URI);
   authUrl.searchParams.set('scope', scopes);
-  authUrl.searchParams.set('state', 'canva_auth_' + Date.now());
+  authUrl.searchParams.set('state', state);
   authUrl.searchParams.set('code_challenge', codeChallenge);
   authUrl.searchParams.set('code_challenge_method', 'S256');
 
-  res.redirect(302, authUrl.toString());
+  res.status(200).json({ url: authUrl.toString() });
 }
@@ -0,0 +1,39 @@
+const { DEFAULT_CURRENCY, VOLUME_DISCOUNTS, listProducts } = require('../lib/catalog');
+const { isPrintingAvailable } = require('../lib/fulfillment');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * GET /api/catalog?currency=cad
+ *
+ * Tiers and their prices for the front end's package picker, and the
+ * volume discounts for group orders. Display only: create-payment-intent
+ * looks prices up again from the tier. Printed tiers are left out when no
+ * print provider is configured (see lib/fulfillment).
+ */
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, OPTIONS', 'Content-Type')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const currency = String(req.query.currency || DEFAULT_CURRENCY).toLowerCase();
+  const products = listProducts(currency);
+  if (products.length === 0) {
+    return res.status(400).json({ error: `Unsupported currency: ${currency}` });
+  }
+  const printing = isPrintingAvailable();
+
+  // Prices only change on deploy
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600');
+  res.status(200).json({
+    currency,
+    products: products.filter(product => printing || !product.requiresShipping),
+    volumeDiscounts: VOLUME_DISCOUNTS,
+  });
+};
@@ -1,121 +1,73 @@
 /**
- * DELETE /api/cleanup
- * 
- * Cleans up old, unpurchased design copies.
- * 
- * In production, this should:
- * 1. Query your database for designs older than 24 hours
- * 2. Delete them from Canva
- * 3. Remove from your database
- * 
- * For now, this is a placeholder that shows the pattern.
- * You'd trigger this via Vercel Cron or an external cron service.
+ * /api/cleanup
+ *
+ * Deletes the Canva designs /api/preview created once they've expired
+ * (see lib/canva-designs.js). Needs Authorization: Bearer $CLEANUP_SECRET,
+ * $CRON_SECRET or $ADMIN_SECRET.
+ *
+ * DELETE or POST          Purge one batch of designs older than
+ *                         DESIGN_TTL_HOURS (default 24), after finishing
+ *                         previews nobody followed up so their designs are
+ *                         registered too (see lib/canva-jobs.js)
+ * GET ?run=1              The same, for Vercel Cron
+ * GET                     How many designs are registered and expired
+ *
+ * ?limit= caps the batch (default 50). The response reports cleaned and
+ * errors, what's still expired, and whether Canva's rate limit cut the run
+ * short; the next run picks up where this one stopped.
  */
 
-// ===========================================
-// CANVA API HELPER
-// ===========================================
-class CanvaAPI {
-  constructor(accessToken) {
-    this.accessToken = accessToken;
-    this.baseUrl = 'https://api.canva.com/rest/v1';
-  }
+import { listDesigns, listExpiredDesigns, purgeExpiredDesigns } from '../lib/canva-designs';
+import { OPERATOR_SECRETS, requireAuth } from '../lib/auth';
+import { createCanvaClient } from '../lib/canva';
+import { settleAbandonedJobs } from '../lib/canva-jobs';
+import { applyCors } from '../lib/cors';
 
-  async request(method, endpoint, body = null) {
-    const url = `${this.baseUrl}${endpoint}`;
-    
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    };
-    
-    if (body) {
-      options.body = JSON.stringify(body);
-    }
-    
-    const response = await fetch(url, options);
-    
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw new Error(`Canva API Error: ${response.status} - ${error.message || 'Unknown'}`);
-    }
-    
-    // DELETE requests may not return JSON
-    if (method === 'DELETE') {
-      return { success: true };
-    }
-    
-    return response.json();
-  }
-
-  /**
-   * Delete a design
-   * Note: Check Canva API docs - may need different endpoint or method
-   */
-  async deleteDesign(designId) {
-    // Canva may use trash/archive instead of hard delete
-    return this.request('DELETE', `/designs/${designId}`);
-  }
-}
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 200;
 
 // ===========================================
 // HANDLER
 // ===========================================
 export default async function handler(req, res) {
+  // CORS
+  if (!applyCors(req, res, 'GET, POST, DELETE, OPTIONS', 'Content-Type, Authorization')) return;
+
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  if (req.method !== 'DELETE' && req.method !== 'POST') {
+  if (req.method !== 'DELETE' && req.method !== 'POST' && req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Optional: Add authentication for this endpoint
-  const authHeader = req.headers['authorization'];
-  const expectedToken = process.env.CLEANUP_SECRET;
-  
-  if (expectedToken && authHeader !== `Bearer ${expectedToken}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  if (!requireAuth(req, res, ['CLEANUP_SECRET', ...OPERATOR_SECRETS])) return;
 
   try {
-    const accessToken = process.env.CANVA_ACCESS_TOKEN;
-    if (!accessToken) {
+    if (req.method === 'GET' && !req.query.run) {
+      const [designs, expired] = await Promise.all([listDesigns(), listExpiredDesigns()]);
+      return res.status(200).json({
+        registered: designs.length,
+        expired: expired.length,
+      });
+    }
+
+    const canva = await createCanvaClient();
+    if (!canva) {
       return res.status(500).json({
         error: 'Server configuration error',
-        message: 'Canva API token not configured',
+        message: 'Canva is not connected',
       });
     }
 
-    const canva = new CanvaAPI(accessToken);
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE);
+    const abandonedJobs = await settleAbandonedJobs(canva, { limit });
+    const result = await purgeExpiredDesigns(canva, { limit });
 
-    // In production, you would:
-    // 1. Query your database (Redis, Supabase, etc.) for old designs
-    // 2. Loop through and delete each from Canva
-    // 3. Remove from your database
-    
-    // Example with Upstash Redis (pseudocode):
-    // const redis = new Redis(process.env.UPSTASH_REDIS_URL);
-    // const keys = await redis.keys('design:*');
-    // for (const key of keys) {
-    //   const data = await redis.get(key);
-    //   if (isExpired(data) && !data.purchased) {
-    //     await canva.deleteDesign(data.designId);
-    //     await redis.del(key);
-    //   }
-    // }
-
-    // For now, return a placeholder response
-    res.status(200).json({
-      success: true,
-      message: 'Cleanup endpoint ready. Configure database to enable automatic cleanup.',
-      cleaned: 0,
-      errors: 0,
-    });
+    console.log(`Cleanup: ${abandonedJobs} abandoned previews finished, ${result.cleaned} cleaned, ` +
+      `${result.errors} errors, ${result.remaining} remaining` + (result.rateLimited ? ' (rate limited)' : ''));
+    res.status(200).json({ success: true, abandonedJobs, ...result });
 
   } catch (error) {
     console.error('Cleanup error:', error);
@@ -1,10 +1,32 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { checkCertificateFit } = require('../lib/render');
+const { getTemplate } = require('../lib/templates');
+const { createOrder, updateOrder, transitionOrder } = require('../lib/orders');
+const { DEFAULT_CURRENCY, getPrice, getGroupPrice } = require('../lib/catalog');
+const { isPrintingAvailable } = require('../lib/fulfillment');
+const { evaluatePromo, claimPromo } = require('../lib/promos');
+const { dispatchPaidOrder } = require('../lib/dispatch');
+const { signDownloadToken } = require('../lib/download-token');
+const { parseSchedule } = require('../lib/scheduled-delivery');
+const { validateRecipients, checkGroupFit, createGroupOrder } = require('../lib/group-orders');
+const { validate } = require('../lib/schema');
+const { moderateCertificate, blockedFields, reviewHold } = require('../lib/moderation');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
+
+// ===========================================
+// HELPER: Validate a shipping address for free printed orders
+// ===========================================
+// Paid orders get theirs from Stripe's Address Element on confirm; free
+// orders send the same element's value with the request
+function isCompleteShipping(shipping) {
+  const address = shipping && shipping.address;
+  return Boolean(address && shipping.name && address.line1 && address.city && address.postal_code && address.country);
+}
 
 module.exports = async (req, res) => {
   // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (!applyCors(req, res, 'POST, OPTIONS', 'Content-Type, X-Session-Id')) return;
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -15,7 +37,39 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (!(await limitRequest(req, res, 'checkout'))) return;
+
+  const body = req.body || {};
+  if (typeof body !== 'object' || Object.keys(body).length === 0) {
+    return res.status(400).json({ error: 'Missing required fields', message: 'Send the order as a JSON body' });
+  }
+
   try {
+    const {
+      tier = 'digital',
+      currency = DEFAULT_CURRENCY,
+      promoCode,
+      shipping,
+      deliverAt,        // optional 'YYYY-MM-DDTHH:mm' to hold a gift until then
+      deliverTimezone,  // the IANA timezone deliverAt is in
+      recipients,       // group orders: [{ firstName, lastName, email?, achievement? }]
+    } = body;
+
+    // A group order takes its names from the recipients
+    const isGroup = recipients !== undefined;
+
+    // Tidy and check every field, answering with all the problems at once
+    // so the form can mark each one (see lib/schema.js)
+    const checked = validate(isGroup ? 'groupOrder' : 'order', body);
+    const group = isGroup ? validateRecipients(recipients) : null;
+    if (!checked.valid || (group && !group.valid)) {
+      return res.status(400).json({
+        error: checked.reason || group.reason,
+        fields: { ...checked.fields, ...(group && group.fields) },
+      });
+    }
+
+    const fields = checked.values;
     const {
       firstName,
       lastName,
@@ -26,27 +80,155 @@ module.exports = async (req, res) => {
       buyerEmail,
       recipientEmail,
       style,
-      priceId
-    } = req.body;
+    } = fields;
+    const template = getTemplate(style);
+
+    // Blocked text is sent back to be reworded; text that needs a second
+    // look can be paid for but is held until an admin approves it (see
+    // lib/moderation.js)
+    const moderation = moderateCertificate(fields, group ? group.recipients : []);
+    const blocked = blockedFields(moderation);
+    if (blocked) {
+      return res.status(400).json({
+        error: 'Some text includes language we won\'t print. Please reword it and try again.',
+        fields: blocked,
+      });
+    }
+    const hold = reviewHold(moderation);
+
+    // The amount always comes from the catalog, never the client
+    const price = group ? getGroupPrice(tier, group.recipients.length, currency) : getPrice(tier, currency);
+    if (!price) {
+      return res.status(400).json({ error: `Invalid tier or currency: ${tier} (${currency})` });
+    }
+
+    if (!template.tiers.includes(tier)) {
+      return res.status(400).json({ error: `The ${template.name} style isn't available as ${price.label}` });
+    }
 
-    // Validate required fields
-    if (!firstName || !lastName || !certificationDate || !degreeLevel || !faculty || !achievement || !style) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // Nothing could print it (see lib/fulfillment)
+    if (price.requiresShipping && !isPrintingAvailable()) {
+      return res.status(400).json({ error: `${price.label} isn't available right now` });
     }
 
-    if (!buyerEmail) {
-      return res.status(400).json({ error: 'Email address is required' });
+    // Scheduled delivery is for gifts; a buyer's own copy goes out right away
+    let scheduledDelivery = null;
+    if (deliverAt) {
+      if (group) {
+        return res.status(400).json({ error: 'Scheduled delivery isn\'t available for group orders' });
+      }
+      if (!recipientEmail) {
+        const error = 'A recipient email is required to schedule delivery';
+        return res.status(400).json({ error, fields: { recipientEmail: error } });
+      }
+      const schedule = parseSchedule(deliverAt, deliverTimezone);
+      if (!schedule.valid) {
+        return res.status(400).json({ error: schedule.reason });
+      }
+      scheduledDelivery = schedule.schedule;
     }
 
+    // Don't take payment for a certificate whose text would be cut off
+    if (group) {
+      const recipientOverflow = await checkGroupFit(fields, group.recipients);
+      if (recipientOverflow.length > 0) {
+        return res.status(400).json({
+          error: `Some text is too long to fit on the certificate for ${recipientOverflow.map(r => r.name).join(', ')}. Please shorten it and try again.`,
+          recipientOverflow,
+        });
+      }
+    } else {
+      const overflow = await checkCertificateFit(fields);
+      if (overflow.length > 0) {
+        return res.status(400).json({
+          error: 'Some text is too long to fit on the certificate. Please shorten it and try again.',
+          overflow,
+        });
+      }
+    }
+
+    // Apply a promo code to the catalog price
+    let promo = null;
+    if (promoCode) {
+      promo = await evaluatePromo(promoCode, price);
+      if (!promo.valid) {
+        return res.status(400).json({ error: promo.reason, promoCode });
+      }
+    }
+    const amount = promo ? promo.amount : price.amount;
+
+    const pricing = {
+      tier: price.tier,
+      label: price.label,
+      originalAmount: price.amount,
+      discount: promo ? promo.discount : 0,
+      promoCode: promo ? promo.code : null,
+      amount,
+      currency: price.currency,
+      requiresShipping: price.requiresShipping,
+    };
+    if (group) {
+      pricing.group = {
+        quantity: price.quantity,
+        unitAmount: price.unitAmount,
+        percentOff: price.percentOff,
+        listAmount: price.listAmount,
+      };
+    }
+
+    // Record the order before taking payment so it has a number to carry
+    const orderDetails = {
+      ...fields,
+      tier: price.tier,
+      amount,
+      currency: price.currency,
+      promoCode: pricing.promoCode,
+      discount: pricing.discount,
+      scheduledDelivery,
+      moderation: hold,
+    };
+    const recordOrder = () => (group ? createGroupOrder(orderDetails, group.recipients) : createOrder(orderDetails));
+
+    // Fully discounted orders skip Stripe and go straight to delivery
+    if (amount === 0) {
+      if (price.requiresShipping && !isCompleteShipping(shipping)) {
+        return res.status(400).json({ error: 'A shipping address is required for printed diplomas' });
+      }
+
+      // Checked again: other free checkouts may have used it up since
+      if (!await claimPromo(promo.code)) {
+        return res.status(400).json({ error: 'That promo code has been fully redeemed', promoCode });
+      }
+
+      let order = await recordOrder();
+      if (price.requiresShipping) {
+        await updateOrder(order.orderNumber, { shipping });
+      }
+      order = await transitionOrder(order.orderNumber, 'paid', { promoCode: promo.code });
+      await dispatchPaidOrder(order);
+
+      return res.status(200).json({
+        free: true,
+        orderNumber: order.orderNumber,
+        // Stands in for the PaymentIntent client secret on the success page
+        downloadToken: signDownloadToken(order.orderNumber),
+        underReview: Boolean(hold),
+        ...pricing,
+      });
+    }
+
+    const order = await recordOrder();
+
     // Create Payment Intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: 999, // $9.99 CAD
-      currency: 'cad',
+      amount,
+      currency: price.currency,
       payment_method_types: ['card'],
       receipt_email: buyerEmail,
       metadata: {
-        firstName,
-        lastName,
+        orderNumber: order.orderNumber,
+        // A group's names are on its member orders
+        ...(group ? { groupSize: group.recipients.length } : { firstName, lastName }),
         certificationDate,
         degreeLevel,
         faculty,
@@ -54,11 +236,23 @@ module.exports = async (req, res) => {
         buyerEmail,
         recipientEmail: recipientEmail || '',
         style,
+        tier: price.tier,
+        promoCode: pricing.promoCode || '',
+        discount: pricing.discount,
+        originalAmount: price.amount,
+        deliverAt: scheduledDelivery ? scheduledDelivery.at : '',
+        deliverLocalTime: scheduledDelivery ? scheduledDelivery.localTime : '',
+        deliverTimezone: scheduledDelivery ? scheduledDelivery.timezone : '',
       },
     });
 
-    res.status(200).json({ 
-      clientSecret: paymentIntent.client_secret 
+    await updateOrder(order.orderNumber, { paymentIntentId: paymentIntent.id });
+
+    res.status(200).json({
+      clientSecret: paymentIntent.client_secret,
+      orderNumber: order.orderNumber,
+      underReview: Boolean(hold),
+      ...pricing,
     });
     
   } catch (error) {
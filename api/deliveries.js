@@ -0,0 +1,45 @@
+const { dispatchDueDeliveries } = require('../lib/dispatch');
+const { listScheduledDeliveries } = require('../lib/scheduled-delivery');
+const { requireAuth } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * /api/deliveries
+ *
+ * Scheduled gift deliveries (see lib/scheduled-delivery.js). Every request
+ * needs Authorization: Bearer $CRON_SECRET (which Vercel Cron sends
+ * automatically) or $ADMIN_SECRET; see lib/auth.js.
+ *
+ * GET  ?run=1   Dispatch deliveries that are due (the cron schedule in vercel.json)
+ * GET           List deliveries waiting for their time
+ */
+
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, OPTIONS', 'Content-Type, Authorization')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAuth(req, res)) return;
+
+  try {
+    if (req.query.run) {
+      const dispatched = await dispatchDueDeliveries();
+      console.log(`Scheduled deliveries dispatched: ${dispatched.length}`);
+      return res.status(200).json({ success: true, dispatched });
+    }
+
+    const scheduled = await listScheduledDeliveries();
+    return res.status(200).json({ scheduled });
+
+  } catch (error) {
+    console.error('Scheduled delivery error:', error);
+    res.status(500).json({ error: 'Scheduled delivery request failed', message: error.message });
+  }
+};
@@ -0,0 +1,77 @@
+const { getOrder } = require('../lib/orders');
+const { syncShipments, syncShipment, submitPrintOrder } = require('../lib/fulfillment');
+const { requireAuth } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * /api/fulfillment
+ *
+ * Print fulfillment for printed and framed orders (see lib/fulfillment).
+ * Every request needs Authorization: Bearer $CRON_SECRET or
+ * $ADMIN_SECRET (see lib/auth.js).
+ *
+ * GET  ?sync=1               Refresh open shipments from the print provider
+ *                            (the cron schedule in vercel.json)
+ * GET  ?orderNumber=...      Shipping address and shipment for one order
+ * POST { orderNumber }       Submit (or resubmit after a fix) an order's
+ *                            print job now
+ */
+
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, POST, OPTIONS', 'Content-Type, Authorization')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAuth(req, res)) return;
+
+  try {
+    if (req.method === 'POST') {
+      const { orderNumber } = req.body || {};
+      if (!orderNumber) {
+        return res.status(400).json({ error: 'Missing required fields', message: 'orderNumber is required' });
+      }
+      if (!await getOrder(orderNumber)) {
+        return res.status(404).json({ error: `Order not found: ${orderNumber}` });
+      }
+      const order = await submitPrintOrder(orderNumber);
+      return res.status(200).json({ success: true, shipment: order.shipment });
+    }
+
+    if (req.query.sync) {
+      const results = await syncShipments();
+      console.log('Shipment sync:', JSON.stringify(results));
+      return res.status(200).json({ success: true, results });
+    }
+
+    const { orderNumber } = req.query;
+    if (!orderNumber) {
+      return res.status(400).json({ error: 'Missing required fields', message: 'orderNumber or sync is required' });
+    }
+
+    let order = await getOrder(orderNumber);
+    if (!order) {
+      return res.status(404).json({ error: `Order not found: ${orderNumber}` });
+    }
+    if (await syncShipment(order)) {
+      order = await getOrder(orderNumber);
+    }
+    res.status(200).json({
+      orderNumber,
+      tier: order.tier,
+      shipping: order.shipping || null,
+      shipment: order.shipment || null,
+      fulfillmentError: order.fulfillmentError || null,
+    });
+
+  } catch (error) {
+    console.error('Fulfillment error:', error);
+    res.status(500).json({ error: 'Fulfillment request failed', message: error.message });
+  }
+};
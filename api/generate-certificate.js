@@ -1,91 +1,173 @@
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
-const fs = require('fs');
-const path = require('path');
+const Stripe = require('stripe');
+const { verifyDownloadToken } = require('../lib/download-token');
+const { rasterizePdf, resolveFormat, resolveDpi } = require('../lib/rasterize');
+const { renderCertificate, checkCertificateFit } = require('../lib/render');
+const { BUNDLE_FORMATS, bundleContentType, writeCertificateBundle } = require('../lib/certificate-bundle');
+const { getTemplate } = require('../lib/templates');
+const { validate } = require('../lib/schema');
+const { moderateCertificate, blockedFields, BLOCKED_MESSAGE } = require('../lib/moderation');
+const { getOrder, findOrderByPaymentIntent, transitionOrder, ensureSerial, isActive } = require('../lib/orders');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
 
 // ===========================================
-// TEMPLATE CONFIGURATION
+// HELPER: Load certificate data for a paid order
 // ===========================================
-// All templates are 4000x3091 pixels
-// PDF page will be letter-landscape (792x612 points)
-// Scale factor: 792/4000 = 0.198
-
-const PAGE_WIDTH = 792;
-const PAGE_HEIGHT = 612;
-
-// Style-to-filename mapping
-const STYLE_MAP = {
-  classic:  'CLASSIC_ACADEMIA_BG.png',
-  boujie:   'BOUGIE___LUXE_BG.png',
-  legal:    'LAW_SCHOOL_BG.png',
-  medical:  'MEDICAL_BG.png',
-  creative: 'CREATIVES_BG.png',
-  tech:     'AI_TECH_BG.png',
-  kids:     'LIL_PHUCKERS_BG.png',
-};
+// Clean renders never trust the request body: the download token is tied to
+// a PaymentIntent, and the certificate text comes from its order (which may
+// carry a name correction from the order portal). A payment with no order
+// record can't be downloaded until the webhook has recorded one, moderated,
+// from its metadata (see api/webhook.js); a refunded intent still reads
+// 'succeeded', so only the order knows. Free (100%-off) orders and members
+// of group orders have no PaymentIntent; their token names the order.
+// Disputed and refunded orders can't be downloaded.
+async function loadPaidCertificate(downloadToken) {
+  const paymentIntentId = verifyDownloadToken(downloadToken);
+  if (!paymentIntentId) {
+    return null;
+  }
 
-// Per-style layout & font configuration
-// Y values are from BOTTOM of page (pdf-lib coordinate system)
-// Fonts: TimesRoman, TimesRomanBold, TimesRomanItalic, TimesRomanBoldItalic,
-//        Helvetica, HelveticaBold, HelveticaOblique, Courier, CourierBold
-const STYLE_LAYOUTS = {
-  // Classic Academia — traditional serif throughout
-  classic: {
-    name:        { y: 310, fontSize: 32, font: 'TimesRomanBold' },
-    dateLine:    { y: 280, fontSize: 13, font: 'TimesRomanItalic' },
-    degree:      { y: 245, fontSize: 22, font: 'TimesRomanBold' },
-    achievement: { y: 218, fontSize: 13, font: 'TimesRomanItalic' },
-  },
-  // Boujie & Luxe — elegant serif, bold-italic name for extra flair
-  boujie: {
-    name:        { y: 310, fontSize: 32, font: 'TimesRomanBoldItalic' },
-    dateLine:    { y: 280, fontSize: 13, font: 'TimesRomanItalic' },
-    degree:      { y: 245, fontSize: 22, font: 'TimesRomanBold' },
-    achievement: { y: 218, fontSize: 13, font: 'TimesRomanItalic' },
-  },
-  // Law School — formal serif, standard italic date
-  legal: {
-    name:        { y: 310, fontSize: 32, font: 'TimesRomanBold' },
-    dateLine:    { y: 280, fontSize: 13, font: 'TimesRomanItalic' },
-    degree:      { y: 245, fontSize: 22, font: 'TimesRomanBold' },
-    achievement: { y: 218, fontSize: 13, font: 'TimesRomanItalic' },
-  },
-  // Medical — clean sans-serif name & degree (Helvetica), italic serif details
-  medical: {
-    name:        { y: 310, fontSize: 32, font: 'HelveticaBold' },
-    dateLine:    { y: 280, fontSize: 13, font: 'TimesRomanItalic' },
-    degree:      { y: 245, fontSize: 22, font: 'HelveticaBold' },
-    achievement: { y: 218, fontSize: 13, font: 'TimesRomanItalic' },
-  },
-  // Creatives — serif name, italic serif details
-  creative: {
-    name:        { y: 310, fontSize: 32, font: 'TimesRomanBold' },
-    dateLine:    { y: 280, fontSize: 13, font: 'TimesRomanItalic' },
-    degree:      { y: 245, fontSize: 22, font: 'TimesRomanBold' },
-    achievement: { y: 218, fontSize: 13, font: 'TimesRomanItalic' },
-  },
-  // AI / Tech — monospace name & degree (Courier), all-caps, underscored names
-  tech: {
-    nameTransform: 'tech', // signals FIRST_LAST with underscores + uppercase
-    name:        { y: 310, fontSize: 28, font: 'CourierBold' },
-    dateLine:    { y: 280, fontSize: 13, font: 'TimesRomanItalic' },
-    degree:      { y: 245, fontSize: 20, font: 'CourierBold' },
-    achievement: { y: 218, fontSize: 13, font: 'TimesRomanItalic' },
-  },
-  // Lil Phuckers (Kids) — friendly serif, different ordering
-  kids: {
-    name:        { y: 320, fontSize: 32, font: 'TimesRoman' },
-    degree:      { y: 285, fontSize: 22, font: 'TimesRomanBold' },
-    achievement: { y: 250, fontSize: 13, font: 'TimesRomanItalic' },
-  },
-};
+  if (!paymentIntentId.startsWith('pi_')) {
+    const order = await getOrder(paymentIntentId);
+    if (!order || order.amount !== 0 || order.group || !isActive(order)) {
+      return null;
+    }
+    const { serial } = await ensureSerial(order);
+    return { ...order.certificate, orderNumber: order.orderNumber, serial };
+  }
+
+  // Created lazily so previews keep working where Stripe isn't configured
+  const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (paymentIntent.status !== 'succeeded') {
+    return null;
+  }
+
+  const order = await getOrder(paymentIntent.metadata.orderNumber)
+    || await findOrderByPaymentIntent(paymentIntentId);
+  if (!isActive(order)) {
+    return null;
+  }
+
+  const { serial } = await ensureSerial(order);
+  return { ...order.certificate, orderNumber: order.orderNumber, paymentIntentId, serial };
+}
 
 // ===========================================
-// HELPER: Center text on page
+// HELPER: Record that a paid order's certificate was generated
 // ===========================================
-function drawCenteredText(page, text, y, fontSize, font, color = rgb(0, 0, 0)) {
-  const textWidth = font.widthOfTextAtSize(text, fontSize);
-  const x = (PAGE_WIDTH - textWidth) / 2;
-  page.drawText(text, { x, y, size: fontSize, font, color });
+// Only paid (or retried failed) orders move forward; re-downloads of an
+// already generated or emailed order leave its status alone
+async function markOrderGenerated(certificate) {
+  try {
+    const order = await getOrder(certificate.orderNumber)
+      || await findOrderByPaymentIntent(certificate.paymentIntentId);
+    if (order && (order.status === 'paid' || order.status === 'failed')) {
+      await transitionOrder(order.orderNumber, 'generated');
+    }
+  } catch (err) {
+    console.error('Failed to update order:', err.message);
+  }
+}
+
+// ===========================================
+// HELPER: Check a certificate can be rendered
+// ===========================================
+// Preview fields come from the request, so they're tidied and checked
+// against the certificate schema (see lib/schema.js), and text moderation
+// would block isn't rendered (see lib/moderation.js). Paid certificates
+// come from orders that were checked at checkout, and only need their
+// fields present.
+function checkCertificate(certificate, preview) {
+  if (preview) {
+    const result = validate('certificate', certificate);
+    if (!result.valid) {
+      return result;
+    }
+    const blocked = blockedFields(moderateCertificate(result.values));
+    if (blocked) {
+      return { valid: false, reason: BLOCKED_MESSAGE, fields: blocked };
+    }
+    return { valid: true, certificate: result.values };
+  }
+
+  const { firstName, lastName, degreeLevel, faculty, achievement, style } = certificate;
+  if (!firstName || !lastName || !degreeLevel || !faculty || !achievement || !style) {
+    return { valid: false, reason: 'Missing required fields' };
+  }
+  if (!getTemplate(style)) {
+    return { valid: false, reason: `Invalid style: ${style}` };
+  }
+  return { valid: true, certificate };
+}
+
+// ===========================================
+// BATCH: Several certificates in one download
+// ===========================================
+// A PDF with a page per certificate, or a ZIP of one PDF each, for print
+// runs and bulk downloads (see lib/certificate-bundle.js). Entries are
+// download tokens or preview fields, as for a single render, but not both:
+// the whole batch is either clean or watermarked.
+const MAX_BATCH_SIZE = 50;
+
+async function generateBatch(req, res, body) {
+  const { certificates: entries, format = 'pdf' } = body;
+
+  if (!BUNDLE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format for a batch: ${format} (use ${BUNDLE_FORMATS.join(' or ')})` });
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'certificates must be a non-empty array' });
+  }
+  if (entries.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `A batch can have at most ${MAX_BATCH_SIZE} certificates` });
+  }
+
+  const preview = !entries[0] || !entries[0].downloadToken;
+  if (entries.some(entry => !entry || !entry.downloadToken !== preview)) {
+    return res.status(400).json({ error: 'A batch must be all download tokens or all previews' });
+  }
+
+  const certificates = [];
+  for (const [index, entry] of entries.entries()) {
+    const certificate = preview ? entry : await loadPaidCertificate(entry.downloadToken);
+    if (!certificate) {
+      return res.status(403).json({ error: 'Invalid or unpaid download token', index });
+    }
+    const checked = checkCertificate(certificate, preview);
+    if (!checked.valid) {
+      return res.status(400).json({ error: checked.reason, fields: checked.fields, index });
+    }
+    certificates.push(checked.certificate);
+  }
+
+  // Fit is checked up front: a streamed ZIP's headers go out before the
+  // last certificate is rendered
+  const overflow = [];
+  for (const certificate of certificates) {
+    overflow.push(await checkCertificateFit(certificate));
+  }
+
+  // e.g. 01-phuckery-certificate-PHU-2026-ABCDE.pdf
+  const files = certificates.map((certificate, i) => ({
+    name: `${String(i + 1).padStart(2, '0')}-phuckery-certificate${preview ? '-preview' : certificate.orderNumber ? `-${certificate.orderNumber}` : ''}.pdf`,
+    fields: certificate,
+  }));
+
+  const basename = preview ? 'phuckery-certificates-preview' : 'phuckery-certificates';
+  res.setHeader('Content-Type', bundleContentType(format));
+  res.setHeader('Content-Disposition', `${format === 'zip' ? 'attachment' : 'inline'}; filename="${basename}.${format}"`);
+  res.setHeader('X-Certificate-Mode', preview ? 'preview' : 'final');
+  // Each certificate's overflowing slots, in order: "name;;achievement,name"
+  res.setHeader('X-Certificate-Overflow', overflow.map(slots => slots.join(',')).join(';'));
+  res.status(200);
+  await writeCertificateBundle(res, files, format, { preview });
+
+  if (!preview) {
+    for (const certificate of certificates) {
+      await markOrderGenerated(certificate);
+    }
+  }
 }
 
 // ===========================================
@@ -93,9 +175,7 @@ function drawCenteredText(page, text, y, fontSize, font, color = rgb(0, 0, 0)) {
 // ===========================================
 module.exports = async (req, res) => {
   // CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (!applyCors(req, res, 'POST, OPTIONS', 'Content-Type, X-Session-Id')) return;
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -105,137 +185,80 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // A batch costs a render per certificate
+  const body = req.body || {};
+  const batch = body.certificates;
+  if (!(await limitRequest(req, res, 'render', { cost: Array.isArray(batch) ? batch.length : 1 }))) return;
+
+  if (typeof body !== 'object' || Object.keys(body).length === 0) {
+    return res.status(400).json({ error: 'Missing required fields', message: 'Send the certificate fields as a JSON body' });
+  }
+
   try {
+    if (body.certificates !== undefined) {
+      return await generateBatch(req, res, body);
+    }
+
     const {
-      firstName,
-      lastName,
-      certificationDate,
-      degreeLevel,
-      faculty,
-      achievement,
-      style,
-      format = 'pdf', // 'pdf' or 'png'
-    } = req.body;
+      downloadToken,
+      format = 'pdf', // 'pdf', 'png' or 'jpeg'
+      dpi,            // raster output only: 72 for social sharing, 300 for print
+    } = body;
 
-    // Validate
-    if (!firstName || !lastName || !degreeLevel || !faculty || !achievement || !style) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // Validate output format
+    const imageFormat = format === 'pdf' ? null : resolveFormat(format);
+    if (format !== 'pdf' && !imageFormat) {
+      return res.status(400).json({ error: `Invalid format: ${format}` });
     }
 
-    // Validate style
-    const bgFilename = STYLE_MAP[style];
-    if (!bgFilename) {
-      return res.status(400).json({ error: `Invalid style: ${style}` });
+    // Without a valid download token, every render is a watermarked preview,
+    // and previews never carry a serial number (the schema drops it)
+    let certificate = body;
+    const preview = !downloadToken;
+    if (!preview) {
+      certificate = await loadPaidCertificate(downloadToken);
+      if (!certificate) {
+        return res.status(403).json({ error: 'Invalid or unpaid download token' });
+      }
     }
 
-    // Load background image
-    // Try multiple paths to work in both Vercel and local environments
-    const possiblePaths = [
-      path.join(process.cwd(), 'public', bgFilename),
-      path.join(__dirname, '..', 'public', bgFilename),
-    ];
-    const bgPath = possiblePaths.find(p => fs.existsSync(p));
-    if (!bgPath) {
-      return res.status(500).json({ error: `Background image not found: ${bgFilename}`, searched: possiblePaths });
-    }
-    const bgBytes = fs.readFileSync(bgPath);
-
-    // Create PDF document
-    const pdfDoc = await PDFDocument.create();
-    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
-
-    // Embed and draw background image
-    const bgImage = await pdfDoc.embedPng(bgBytes);
-    page.drawImage(bgImage, {
-      x: 0,
-      y: 0,
-      width: PAGE_WIDTH,
-      height: PAGE_HEIGHT,
-    });
-
-    // Load fonts
-    const fontMap = {
-      TimesRoman:           await pdfDoc.embedFont(StandardFonts.TimesRoman),
-      TimesRomanBold:       await pdfDoc.embedFont(StandardFonts.TimesRomanBold),
-      TimesRomanItalic:     await pdfDoc.embedFont(StandardFonts.TimesRomanItalic),
-      TimesRomanBoldItalic: await pdfDoc.embedFont(StandardFonts.TimesRomanBoldItalic),
-      Helvetica:            await pdfDoc.embedFont(StandardFonts.Helvetica),
-      HelveticaBold:        await pdfDoc.embedFont(StandardFonts.HelveticaBold),
-      HelveticaOblique:     await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
-      Courier:              await pdfDoc.embedFont(StandardFonts.Courier),
-      CourierBold:          await pdfDoc.embedFont(StandardFonts.CourierBold),
-    };
-
-    // Pick per-style layout
-    const layout = STYLE_LAYOUTS[style];
-    const textColor = rgb(0, 0, 0);
-
-    // Build text content (apply transforms for specific styles)
-    let fullName = `${firstName} ${lastName}`;
-    let degreeFull = `${degreeLevel} of ${faculty}`;
-    const dateLine = certificationDate
-      ? `On this ${certificationDate}, do bestow the degree of:`
-      : '';
-    const achievementLine = `For outstanding achievement in ${achievement}`;
-
-    // Tech style: FIRST_LAST uppercase with underscores
-    if (layout.nameTransform === 'tech') {
-      fullName = `${firstName}_${lastName}`.toUpperCase();
-      degreeFull = degreeFull.toUpperCase();
+    // Validate
+    const checked = checkCertificate(certificate, preview);
+    if (!checked.valid) {
+      return res.status(400).json({ error: checked.reason, fields: checked.fields });
     }
+    certificate = checked.certificate;
 
-    // Draw name
-    drawCenteredText(
-      page,
-      fullName,
-      layout.name.y,
-      layout.name.fontSize,
-      fontMap[layout.name.font],
-      textColor
-    );
-
-    // Draw date line (not on kids layout)
-    if (layout.dateLine && dateLine) {
-      drawCenteredText(
-        page,
-        dateLine,
-        layout.dateLine.y,
-        layout.dateLine.fontSize,
-        fontMap[layout.dateLine.font],
-        textColor
-      );
+    const { pdfBytes, overflow } = await renderCertificate(certificate, { preview });
+    if (!preview) {
+      await markOrderGenerated(certificate);
     }
 
-    // Draw degree
-    drawCenteredText(
-      page,
-      degreeFull,
-      layout.degree.y,
-      layout.degree.fontSize,
-      fontMap[layout.degree.font],
-      textColor
-    );
-
-    // Draw achievement
-    drawCenteredText(
-      page,
-      achievementLine,
-      layout.achievement.y,
-      layout.achievement.fontSize,
-      fontMap[layout.achievement.font],
-      textColor
-    );
-
-    // Serialize PDF
-    const pdfBytes = await pdfDoc.save();
+    const basename = preview ? 'phuckery-certificate-preview' : 'phuckery-certificate';
+    res.setHeader('X-Certificate-Mode', preview ? 'preview' : 'final');
+    // Slots whose text had to be truncated even at the minimum font size
+    res.setHeader('X-Certificate-Overflow', overflow.join(','));
+
+    // Return as PNG/JPEG
+    if (imageFormat) {
+      const imageBytes = await rasterizePdf(pdfBytes, { format: imageFormat.type, dpi });
+      res.setHeader('Content-Type', imageFormat.contentType);
+      res.setHeader('Content-Disposition', `inline; filename="${basename}.${imageFormat.extension}"`);
+      res.setHeader('X-Certificate-Dpi', String(resolveDpi(dpi)));
+      return res.status(200).send(imageBytes);
+    }
 
     // Return as PDF
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename="phuckery-certificate.pdf"`);
+    res.setHeader('Content-Disposition', `inline; filename="${basename}.pdf"`);
     res.status(200).send(Buffer.from(pdfBytes));
 
   } catch (error) {
     console.error('Certificate generation error:', error);
+    // Part of a streamed ZIP has gone out; cut it off so it doesn't look complete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ error: 'Failed to generate certificate', message: error.message });
   }
 };
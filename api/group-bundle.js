@@ -0,0 +1,56 @@
+const { loadBundleOrder, getBundleFiles } = require('../lib/group-orders');
+const { BUNDLE_FORMATS, bundleContentType, writeCertificateBundle } = require('../lib/certificate-bundle');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
+
+/**
+ * /api/group-bundle
+ *
+ * GET  ?token=...&format=zip|pdf
+ *      Every certificate in a group order, for its buyer: a ZIP of one PDF
+ *      per recipient, or one PDF with a page each. The token comes from the
+ *      link in the buyer's email (see lib/group-orders.js). Rendered fresh
+ *      on each download, so name corrections are picked up; the ZIP is
+ *      streamed as it's rendered (see lib/certificate-bundle.js).
+ */
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, OPTIONS', 'Content-Type')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await limitRequest(req, res, 'bundle'))) return;
+
+  try {
+    const { token, format = 'zip' } = req.query;
+    if (!BUNDLE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format: ${format}` });
+    }
+
+    const order = await loadBundleOrder(token);
+    if (!order) {
+      return res.status(403).json({ error: 'Invalid link, or the order can no longer be downloaded' });
+    }
+
+    const { filename, files } = await getBundleFiles(order);
+    res.setHeader('Content-Type', bundleContentType(format));
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200);
+    await writeCertificateBundle(res, files, format, { preview: false });
+
+  } catch (error) {
+    console.error('Group bundle error:', error);
+    // Part of a streamed ZIP has gone out; cut it off so it doesn't look complete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to build the download', message: error.message });
+  }
+};
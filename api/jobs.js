@@ -0,0 +1,58 @@
+const { createCanvaClient } = require('../lib/canva');
+const { waitForCanvaJob, sendJob } = require('../lib/canva-jobs');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
+
+/**
+ * /api/jobs
+ *
+ * GET  ?id=...
+ *      Where a preview that /api/preview answered with 202 has got to.
+ *      Checks on the Canva job once and answers like the original endpoint
+ *      would have: 200 with the result, 500 if it failed, or 202 again
+ *      while it's running. Poll every couple of seconds; jobs are kept for
+ *      a day.
+ */
+
+// ===========================================
+// HANDLER
+// ===========================================
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, OPTIONS', 'Content-Type, X-Session-Id')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await limitRequest(req, res, 'jobs'))) return;
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  try {
+    const canva = await createCanvaClient();
+    if (!canva) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        message: 'Canva is not connected',
+      });
+    }
+
+    const job = await waitForCanvaJob(canva, String(id), { timeoutMs: 0 });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    return sendJob(res, job, 'Failed to generate preview');
+
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({ error: 'Failed to check job', message: error.message });
+  }
+};
@@ -0,0 +1,87 @@
+const Stripe = require('stripe');
+const { getOrder, findOrderByPaymentIntent, summarizeOrder } = require('../lib/orders');
+const { verifyDownloadToken } = require('../lib/download-token');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
+
+/**
+ * /api/order
+ *
+ * GET  ?payment_intent_client_secret=...
+ *      Order summary for the success page. The client secret Stripe hands
+ *      back on the return URL proves the caller made the payment.
+ *
+ * GET  ?download_token=...
+ *      The same, for free (100%-off) orders, which have no PaymentIntent.
+ */
+
+// ===========================================
+// GET: Look up an order by PaymentIntent client secret
+// ===========================================
+async function handleLookup(req, res) {
+  if (req.query.download_token) {
+    return handleTokenLookup(req, res);
+  }
+
+  const clientSecret = req.query.payment_intent_client_secret;
+  const paymentIntentId = String(clientSecret || '').split('_secret_')[0];
+  if (!clientSecret || !paymentIntentId) {
+    return res.status(400).json({ error: 'payment_intent_client_secret is required' });
+  }
+
+  const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (err) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  if (paymentIntent.client_secret !== clientSecret) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  const order = await getOrder(paymentIntent.metadata.orderNumber)
+    || await findOrderByPaymentIntent(paymentIntent.id);
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  return res.status(200).json({ order: summarizeOrder(order) });
+}
+
+// ===========================================
+// GET: Look up an order by download token
+// ===========================================
+async function handleTokenLookup(req, res) {
+  const id = verifyDownloadToken(req.query.download_token);
+  const order = id && (id.startsWith('pi_') ? await findOrderByPaymentIntent(id) : await getOrder(id));
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  return res.status(200).json({ order: summarizeOrder(order) });
+}
+
+// ===========================================
+// HANDLER
+// ===========================================
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, OPTIONS', 'Content-Type, X-Session-Id')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await limitRequest(req, res, 'order'))) return;
+
+  try {
+    return await handleLookup(req, res);
+  } catch (error) {
+    console.error('Order error:', error);
+    res.status(500).json({ error: 'Failed to process order request', message: error.message });
+  }
+};
@@ -0,0 +1,70 @@
+const { runDueJobs, listJobs, listDeadLetters, replayDeadLetter } = require('../lib/outbox');
+const { requireAuth } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * /api/outbox
+ *
+ * Operator and cron access to the dispatch outbox (see lib/outbox.js).
+ * Every request needs Authorization: Bearer $CRON_SECRET (which Vercel Cron
+ * sends automatically) or $ADMIN_SECRET; see lib/auth.js.
+ *
+ * GET  ?run=1           Run due jobs (the cron schedule in vercel.json)
+ * GET                   List pending jobs and dead letters
+ * POST { replay: id }   Replay one dead letter, or { replay: 'all' }
+ */
+
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, POST, OPTIONS', 'Content-Type, Authorization')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Jobs carry customer details and download tokens, so this is never open
+  if (!requireAuth(req, res)) return;
+
+  try {
+    if (req.method === 'GET') {
+      if (req.query.run) {
+        const results = await runDueJobs();
+        console.log('Outbox run:', JSON.stringify(results));
+        return res.status(200).json({ success: true, results });
+      }
+
+      const [pending, dead] = await Promise.all([listJobs(), listDeadLetters()]);
+      return res.status(200).json({ pending, dead });
+    }
+
+    const { replay } = req.body || {};
+    if (!replay) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'replay (a dead letter id or "all") is required',
+      });
+    }
+
+    const ids = replay === 'all'
+      ? (await listDeadLetters()).map(job => job.id)
+      : [replay];
+
+    const results = {};
+    for (const id of ids) {
+      results[id] = await replayDeadLetter(id);
+    }
+
+    if (replay !== 'all' && results[replay] === null) {
+      return res.status(404).json({ error: `Dead letter not found: ${replay}` });
+    }
+    return res.status(200).json({ success: true, results });
+
+  } catch (error) {
+    console.error('Outbox error:', error);
+    res.status(500).json({ error: 'Outbox request failed', message: error.message });
+  }
+};
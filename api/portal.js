@@ -0,0 +1,112 @@
+const { signIn, sendPortalLinks, loadPortalOrder, portalView, correctName } = require('../lib/portal');
+const { validate } = require('../lib/schema');
+const { resendCertificate } = require('../lib/delivery');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
+
+/**
+ * /api/portal
+ *
+ * Backs the order portal page (public/orders.html, see lib/portal.js).
+ *
+ * GET  ?token=...                          The order, for a portal token
+ * POST { email, orderNumber }              Sign in; returns a portal token
+ * POST { email }                           Email sign-in links for every
+ *                                          order placed with the address
+ * POST { token, action: 'resend' }         Resend the certificate
+ * POST { token, action: 'correct',         Fix the graduate's name
+ *        firstName, lastName }
+ */
+
+const INVALID_TOKEN = 'This link is invalid or has expired. Please sign in again.';
+
+// ===========================================
+// POST: Sign in or ask for a sign-in link
+// ===========================================
+async function handleSignIn(req, res) {
+  const { orderNumber } = req.body;
+  const checked = validate('signIn', req.body);
+  if (!checked.valid) {
+    return res.status(400).json({ error: checked.reason, fields: checked.fields });
+  }
+  const { email } = checked.values;
+
+  if (!orderNumber) {
+    // Same answer whether or not the address has orders
+    await sendPortalLinks(email);
+    return res.status(200).json({ success: true });
+  }
+
+  const token = await signIn(email, orderNumber);
+  if (!token) {
+    return res.status(404).json({ error: 'No order found with that email address and order number' });
+  }
+  return res.status(200).json({ token, ...portalView(await loadPortalOrder(token)) });
+}
+
+// ===========================================
+// POST: Act on an order
+// ===========================================
+async function handleAction(req, res) {
+  const { token, action } = req.body;
+  const order = await loadPortalOrder(token);
+  if (!order) {
+    return res.status(401).json({ error: INVALID_TOKEN });
+  }
+
+  if (action === 'resend') {
+    if (!portalView(order).resend.allowed) {
+      return res.status(409).json({
+        error: order.status === 'emailed'
+          ? 'This certificate has been resent as many times as we allow. Please contact support.'
+          : "This certificate hasn't been delivered yet",
+      });
+    }
+    return res.status(200).json(portalView(await resendCertificate(order.orderNumber)));
+  }
+
+  if (action === 'correct') {
+    const result = await correctName(order, req.body);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.reason, fields: result.fields });
+    }
+    return res.status(200).json(portalView(result.order));
+  }
+
+  return res.status(400).json({ error: `Unknown action: ${action}` });
+}
+
+// ===========================================
+// HANDLER
+// ===========================================
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, POST, OPTIONS', 'Content-Type, X-Session-Id')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await limitRequest(req, res, 'portal'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const order = await loadPortalOrder(req.query.token);
+      if (!order) {
+        return res.status(401).json({ error: INVALID_TOKEN });
+      }
+      return res.status(200).json(portalView(order));
+    }
+
+    req.body = req.body || {};
+    return await (req.body.token ? handleAction(req, res) : handleSignIn(req, res));
+
+  } catch (error) {
+    console.error('Order portal error:', error);
+    res.status(500).json({ error: 'Order portal request failed', message: error.message });
+  }
+};
@@ -1,90 +1,44 @@
 /**
  * POST /api/preview
  * 
- * Generates a preview by:
- * 1. Creating a copy of the master Canva template
- * 2. Updating text fields with user data
+ * Generates a Canva design preview for a Canva-rendered style by:
+ * 1. Creating a copy of the style's brand template (an autofill job)
+ * 2. Filling its data fields with the certificate text, mapped by the
+ *    style's manifest (the same text /api/generate-certificate renders)
  * 3. Returning the thumbnail URL
+ *
+ * Takes the certificate fields (firstName, lastName, certificationDate,
+ * degreeLevel, faculty, achievement, style) and an optional pageNumber.
+ *
+ * Every design created is registered (lib/canva-designs.js) so /api/cleanup
+ * can delete it once it's a day old.
+ *
+ * Waits up to 20 seconds for Canva. If the job is still running then, or
+ * the request had { async: true }, answers 202 with a jobId to poll at
+ * /api/jobs?id=... (see lib/canva-jobs.js).
+ *
+ * Rate limited per client, since every call costs a Canva design (see
+ * lib/request-limits.js).
  */
 
-// ===========================================
-// CANVA API HELPER
-// ===========================================
-class CanvaAPI {
-  constructor(accessToken) {
-    this.accessToken = accessToken;
-    this.baseUrl = 'https://api.canva.com/rest/v1';
-  }
-
-  async request(method, endpoint, body = null) {
-    const url = `${this.baseUrl}${endpoint}`;
-    
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    };
-    
-    if (body) {
-      options.body = JSON.stringify(body);
-    }
-    
-    const response = await fetch(url, options);
-    
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      console.error('Canva API Error:', response.status, error);
-      throw new Error(`Canva API Error: ${response.status} - ${error.message || JSON.stringify(error)}`);
-    }
-    
-    return response.json();
-  }
-
-  /**
-   * Create autofill job from brand template
-   */
-  async createAutofillJob(brandTemplateId, data) {
-    return this.request('POST', '/autofill/create', {
-      brand_template_id: brandTemplateId,
-      data: data,
-    });
-  }
+import { createCanvaClient } from '../lib/canva';
+import { getTemplate } from '../lib/templates';
+import { validate } from '../lib/schema';
+import { moderateCertificate, blockedFields, BLOCKED_MESSAGE } from '../lib/moderation';
+import { autofillData } from '../lib/render/renderers/canva';
+import { startCanvaJob, waitForCanvaJob, disconnectSignal, sendJob } from '../lib/canva-jobs';
+import { applyCors } from '../lib/cors';
+import { limitRequest } from '../lib/request-limits';
 
-  /**
-   * Get autofill job status
-   */
-  async getAutofillJob(jobId) {
-    return this.request('GET', `/autofill/jobs/${jobId}`);
-  }
-
-  /**
-   * Get design details including thumbnail
-   */
-  async getDesign(designId) {
-    return this.request('GET', `/designs/${designId}`);
-  }
-
-  /**
-   * Get design pages with thumbnails
-   */
-  async getDesignPages(designId, offset = 0, limit = 1) {
-    return this.request('GET', `/designs/${designId}/pages?offset=${offset}&limit=${limit}`);
-  }
-}
-
-// ===========================================
-// STORAGE (Replace with Redis in production)
-// ===========================================
-// Note: This in-memory storage won't persist between function invocations!
-// For production, use Upstash Redis or similar.
-// For now, we'll store the design ID in the response and client will send it back.
+const WAIT_MS = 20 * 1000;
 
 // ===========================================
 // HANDLER
 // ===========================================
 export default async function handler(req, res) {
+  // CORS
+  if (!applyCors(req, res, 'POST, OPTIONS', 'Content-Type, X-Session-Id')) return;
+
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -94,94 +48,65 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Every call is a billable Canva design
+  if (!(await limitRequest(req, res, 'preview'))) return;
+
+  const body = req.body || {};
+  if (typeof body !== 'object' || Object.keys(body).length === 0) {
+    return res.status(400).json({ error: 'Missing required fields', message: 'Send the certificate fields as a JSON body' });
+  }
+
   try {
-    const { templateId, pageNumber, fields, existingDesignId } = req.body;
+    const { pageNumber, async: runAsync } = body;
 
-    // Validate input
-    if (!templateId || !fields) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'templateId and fields are required',
-      });
+    // Validate input (see lib/schema.js)
+    const checked = validate('certificate', body);
+    if (!checked.valid) {
+      return res.status(400).json({ error: checked.reason, fields: checked.fields });
     }
 
-    // Check for Canva API token
-    const accessToken = process.env.CANVA_ACCESS_TOKEN;
-    if (!accessToken) {
-      return res.status(500).json({
-        error: 'Server configuration error',
-        message: 'Canva API token not configured',
-      });
+    // Text moderation would block isn't sent to Canva (see lib/moderation.js)
+    const fields = checked.values;
+    const blocked = blockedFields(moderateCertificate(fields));
+    if (blocked) {
+      return res.status(400).json({ error: BLOCKED_MESSAGE, fields: blocked });
     }
 
-    const canva = new CanvaAPI(accessToken);
-
-    let designId;
-    let thumbnailUrl;
-
-    // If we have an existing design, we could update it
-    // But Canva's API may not support direct text updates easily
-    // So we'll create a new autofill each time for now
-    
-    // Prepare autofill data
-    // The data structure depends on how you've set up your brand template
-    const autofillData = {};
-    
-    // Map our placeholder format to Canva's autofill format
-    // Canva autofill uses dataset names, not placeholder text
-    // You'll need to configure these in your brand template
-    if (fields['{{RECIPIENT_NAME}}']) {
-      autofillData['recipient_name'] = { type: 'text', text: fields['{{RECIPIENT_NAME}}'] };
-    }
-    if (fields['{{DEGREE_TITLE}}']) {
-      autofillData['degree_title'] = { type: 'text', text: fields['{{DEGREE_TITLE}}'] };
-    }
-    if (fields['{{ACHIEVEMENT_TEXT}}']) {
-      autofillData['achievement_text'] = { type: 'text', text: fields['{{ACHIEVEMENT_TEXT}}'] };
+    const template = getTemplate(fields.style);
+    if (template.renderer !== 'canva') {
+      return res.status(400).json({ error: `Not a Canva style: ${fields.style}` });
     }
 
-    // Create autofill job
-    console.log('Creating autofill job with data:', autofillData);
-    const autofillJob = await canva.createAutofillJob(templateId, autofillData);
-    
-    // Poll for completion
-    let job;
-    for (let i = 0; i < 30; i++) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      job = await canva.getAutofillJob(autofillJob.job.id);
-      
-      if (job.job.status === 'success') {
-        designId = job.job.result.design.id;
-        break;
-      } else if (job.job.status === 'failed') {
-        throw new Error(`Autofill failed: ${job.job.error?.message || 'Unknown error'}`);
-      }
+    // Check Canva is connected (refreshes a token about to expire)
+    const canva = await createCanvaClient();
+    if (!canva) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        message: 'Canva is not connected',
+      });
     }
 
-    if (!designId) {
-      throw new Error('Autofill timed out');
-    }
+    // A new autofill each time; Canva can't update a design's text in place
+    const data = autofillData(template, fields);
 
-    // Get the thumbnail for the requested page
-    const pages = await canva.getDesignPages(designId, pageNumber - 1, 1);
-    
-    if (pages.items && pages.items.length > 0) {
-      thumbnailUrl = pages.items[0].thumbnail.url;
-    } else {
-      // Fallback to design thumbnail
-      const design = await canva.getDesign(designId);
-      thumbnailUrl = design.design.thumbnail.url;
+    // Create autofill job
+    console.log('Creating autofill job with data:', data);
+    const signal = disconnectSignal(res);
+    let job = await startCanvaJob(canva, 'preview', {
+      templateId: template.canva.brandTemplateId,
+      data,
+      pageNumber: Number(pageNumber) || 1,
+    }, { signal });
+
+    if (!runAsync) {
+      job = await waitForCanvaJob(canva, job.id, { timeoutMs: WAIT_MS, signal });
     }
-
-    // Return success
-    res.status(200).json({
-      success: true,
-      designId: designId,
-      thumbnailUrl: thumbnailUrl,
-      pageNumber: pageNumber,
-    });
+    return sendJob(res, job, 'Failed to generate preview');
 
   } catch (error) {
+    if (error.code === 'cancelled') {
+      return console.log('Preview cancelled: the client went away');
+    }
     console.error('Preview generation error:', error);
     res.status(500).json({
       error: 'Failed to generate preview',
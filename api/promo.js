@@ -0,0 +1,68 @@
+const { DEFAULT_CURRENCY, getPrice, getGroupPrice } = require('../lib/catalog');
+const { evaluatePromo } = require('../lib/promos');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
+
+/**
+ * POST /api/promo
+ *
+ * Checks a promo code for the checkout modal and returns the discounted
+ * price. Nothing is reserved: create-payment-intent checks the code again
+ * and prices the order itself.
+ *
+ * Body: { code, tier, currency?, quantity? }
+ *
+ * quantity prices a group order of that many recipients.
+ */
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'POST, OPTIONS', 'Content-Type, X-Session-Id')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await limitRequest(req, res, 'promo'))) return;
+
+  try {
+    const { code, tier = 'digital', currency = DEFAULT_CURRENCY, quantity } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'Please enter a promo code' });
+    }
+
+    const price = quantity === undefined ? getPrice(tier, currency) : getGroupPrice(tier, Number(quantity), currency);
+    if (!price) {
+      return res.status(400).json({ error: `Invalid tier or currency: ${tier} (${currency})` });
+    }
+
+    const promo = await evaluatePromo(code, price);
+    if (!promo.valid) {
+      return res.status(400).json({ error: promo.reason });
+    }
+
+    const { valid, ...discount } = promo;
+    res.status(200).json({
+      ...discount,
+      tier: price.tier,
+      label: price.label,
+      currency: price.currency,
+      requiresShipping: price.requiresShipping,
+      ...(price.quantity ? {
+        group: {
+          quantity: price.quantity,
+          unitAmount: price.unitAmount,
+          percentOff: price.percentOff,
+          listAmount: price.listAmount,
+        },
+      } : {}),
+    });
+
+  } catch (error) {
+    console.error('Promo error:', error);
+    res.status(500).json({ error: 'Failed to check promo code', message: error.message });
+  }
+};
@@ -0,0 +1,91 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getOrder, isPaid } = require('../lib/orders');
+const { recordRefundRequest, applyRefund } = require('../lib/refunds');
+const { requireAuth } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * /api/refunds
+ *
+ * Operator refunds (see lib/refunds.js). Every request needs
+ * Authorization: Bearer $CRON_SECRET or $ADMIN_SECRET (see lib/auth.js).
+ *
+ * POST { orderNumber, reason, amount?, requestedBy? }
+ *      Refund an order through Stripe. amount (smallest currency unit)
+ *      defaults to whatever hasn't been refunded yet; less than that is a
+ *      partial refund, which leaves the certificate valid. The reason is
+ *      kept on the order and on the Stripe refund.
+ */
+
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'POST, OPTIONS', 'Content-Type, Authorization')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAuth(req, res)) return;
+
+  try {
+    const { orderNumber, reason, amount, requestedBy } = req.body || {};
+    if (!orderNumber || !reason) {
+      return res.status(400).json({ error: 'Missing required fields', message: 'orderNumber and reason are required' });
+    }
+
+    let order = await getOrder(orderNumber);
+    if (!order) {
+      return res.status(404).json({ error: `Order not found: ${orderNumber}` });
+    }
+    if (!isPaid(order) || order.status === 'refunded') {
+      return res.status(409).json({ error: `Order ${orderNumber} is ${order.status} and can't be refunded` });
+    }
+    if (order.groupOrderNumber) {
+      return res.status(400).json({ error: `Order ${orderNumber} is part of group order ${order.groupOrderNumber}; refund that instead` });
+    }
+    if (!order.paymentIntentId) {
+      return res.status(400).json({ error: `Order ${orderNumber} wasn't paid through Stripe` });
+    }
+
+    const alreadyRefunded = (order.refund && order.refund.amountRefunded) || 0;
+    const refundable = order.amount - alreadyRefunded;
+    const refundAmount = amount === undefined ? refundable : amount;
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      return res.status(400).json({ error: `amount must be a whole number of cents from 1 to ${refundable}` });
+    }
+
+    order = await recordRefundRequest(order, { reason, requestedBy: requestedBy || null });
+
+    const refund = await stripe.refunds.create({
+      payment_intent: order.paymentIntentId,
+      amount: refundAmount,
+      metadata: { orderNumber, reason },
+    }, {
+      // A repeated click is the same refund; the next one starts from a new total
+      idempotencyKey: `refund:${orderNumber}:${alreadyRefunded}:${refundAmount}`,
+    });
+
+    // Card refunds usually succeed at once; the rest arrive as charge.refunded
+    if (refund.status === 'succeeded') {
+      order = await applyRefund(orderNumber, {
+        amountRefunded: alreadyRefunded + refund.amount,
+        currency: refund.currency,
+      });
+    }
+
+    console.log(`Refund ${refund.id} for ${orderNumber}: ${refund.status} (${reason})`);
+    return res.status(200).json({
+      success: true,
+      refund: { id: refund.id, status: refund.status, amount: refund.amount, currency: refund.currency },
+      order: { orderNumber, status: order.status, refund: order.refund },
+    });
+
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(500).json({ error: 'Refund failed', message: error.message });
+  }
+};
@@ -0,0 +1,27 @@
+const { describeSchemas } = require('../lib/schema');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * GET /api/schema
+ *
+ * The input rules every route checks (see lib/schema.js), so the front end
+ * can check a form before submitting it and build its degree and faculty
+ * pickers. Keyed by schema name: certificate, order, groupOrder, recipient,
+ * signIn and nameCorrection.
+ */
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, OPTIONS', 'Content-Type')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // The rules and the styles only change on deploy
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600');
+  res.status(200).json({ schemas: describeSchemas() });
+};
@@ -0,0 +1,25 @@
+const { listTemplates, describeTemplate } = require('../lib/templates');
+const { applyCors } = require('../lib/cors');
+
+/**
+ * GET /api/templates
+ *
+ * Lists the available diploma styles, in display order, for the front
+ * end's style picker. Built from the manifests in /templates.
+ */
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, OPTIONS', 'Content-Type')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Manifests only change on deploy
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600');
+  res.status(200).json({ templates: listTemplates().map(describeTemplate) });
+};
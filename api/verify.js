@@ -0,0 +1,71 @@
+const { getVerification, requestPrivacyLink, setVerificationPublic } = require('../lib/verification');
+const { applyCors } = require('../lib/cors');
+const { limitRequest } = require('../lib/request-limits');
+
+/**
+ * /api/verify
+ *
+ * Backs the public /verify/:serial page (see lib/verification.js).
+ *
+ * GET  ?serial=...                  What the page shows for a certificate
+ * POST { serial }                   Email the holder a link to manage the listing
+ * POST { serial, token, public }    Show or hide the details, with the
+ *                                   token from that link
+ */
+
+// ===========================================
+// HELPER: Serial numbers from URLs and forms
+// ===========================================
+function normalizeSerial(serial) {
+  return String(serial || '').trim().toUpperCase();
+}
+
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'GET, POST, OPTIONS', 'Content-Type, X-Session-Id')) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await limitRequest(req, res, 'verify'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const verification = await getVerification(normalizeSerial(req.query.serial));
+      if (!verification) {
+        return res.status(404).json({ error: 'No degree with that serial number' });
+      }
+      return res.status(200).json({ verification });
+    }
+
+    const { serial, token, public: isPublic } = req.body || {};
+    if (!serial) {
+      return res.status(400).json({ error: 'serial is required' });
+    }
+
+    if (!token) {
+      if (!await requestPrivacyLink(normalizeSerial(serial))) {
+        return res.status(404).json({ error: 'No degree with that serial number' });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    if (typeof isPublic !== 'boolean') {
+      return res.status(400).json({ error: 'public must be true or false' });
+    }
+    const verification = await setVerificationPublic(normalizeSerial(serial), token, isPublic);
+    if (!verification) {
+      return res.status(403).json({ error: 'This link is invalid or has expired' });
+    }
+    return res.status(200).json({ verification });
+
+  } catch (error) {
+    console.error('Verification error:', error);
+    res.status(500).json({ error: 'Verification request failed', message: error.message });
+  }
+};
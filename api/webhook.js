@@ -1,7 +1,18 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getStore } = require('../lib/store');
+const { createOrder, getOrder, findOrderByPaymentIntent, transitionOrder, updateOrder } = require('../lib/orders');
+const { dispatchPaidOrder } = require('../lib/dispatch');
+const { requiresShipping } = require('../lib/catalog');
+const { redeemPromo } = require('../lib/promos');
+const { recordPaymentFailure, applyRefund, openDispute, closeDispute } = require('../lib/refunds');
+const { moderateCertificate, reviewHold } = require('../lib/moderation');
 
 // Version marker to confirm deployment
-const WEBHOOK_VERSION = 'v5';
+const WEBHOOK_VERSION = 'v7';
+
+// Stripe retries for up to three days; remember event ids well past that
+const EVENT_KEY = (eventId) => `stripe-event:${eventId}`;
+const EVENT_TTL_SECONDS = 30 * 24 * 60 * 60;
 
 // Read the raw body from the request stream as a Buffer
 function readRawBody(req) {
@@ -13,6 +24,119 @@ function readRawBody(req) {
   });
 }
 
+// Find the order a PaymentIntent belongs to and mark it paid. Stripe
+// redelivers events, so orders already past `paid` are left alone.
+async function markOrderPaid(paymentIntent) {
+  const metadata = paymentIntent.metadata;
+  let order = await getOrder(metadata.orderNumber)
+    || await findOrderByPaymentIntent(paymentIntent.id);
+
+  // A group order's recipients aren't in the metadata, so it can't be
+  // rebuilt; fail so Stripe retries while someone looks
+  if (!order && metadata.groupSize) {
+    throw new Error(`Group order ${metadata.orderNumber} for PaymentIntent ${paymentIntent.id} not found`);
+  }
+
+  // Payments taken before orders were recorded (or whose order was lost)
+  // still get one, rebuilt from the intent's metadata. Its text is
+  // moderated again, since a hold from checkout was lost with the order;
+  // it's been paid for, so text checkout would have blocked is held too.
+  if (!order) {
+    console.error(`No order found for PaymentIntent ${paymentIntent.id}, recording one from its metadata`);
+    const moderation = moderateCertificate(metadata);
+    order = await createOrder({
+      ...metadata,
+      tier: metadata.tier || 'digital',
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      buyerEmail: metadata.buyerEmail || paymentIntent.receipt_email,
+      scheduledDelivery: metadata.deliverAt
+        ? { localTime: metadata.deliverLocalTime, timezone: metadata.deliverTimezone, at: metadata.deliverAt }
+        : null,
+      moderation: reviewHold({ ...moderation, action: moderation.action === 'allow' ? 'allow' : 'hold' }),
+    });
+    order = await updateOrder(order.orderNumber, { paymentIntentId: paymentIntent.id });
+  }
+
+  if (!['created', 'payment_failed', 'failed'].includes(order.status)) {
+    return order;
+  }
+  if (order.status === 'created' && order.promoCode) {
+    await redeemPromo(order.promoCode);
+  }
+  if (requiresShipping(order.tier)) {
+    await updateOrder(order.orderNumber, { shipping: paymentIntent.shipping || null });
+  }
+  return transitionOrder(order.orderNumber, 'paid', { paymentIntentId: paymentIntent.id });
+}
+
+// ===========================================
+// payment_intent.succeeded
+// ===========================================
+// Marks the order paid and hands it off for delivery (see lib/dispatch.js)
+async function handlePaymentSucceeded(paymentIntent) {
+  console.log('Payment successful!');
+  console.log('Buyer email:', paymentIntent.metadata.buyerEmail || paymentIntent.receipt_email);
+  console.log('Recipient email:', paymentIntent.metadata.recipientEmail);
+  console.log('Order details:', paymentIntent.metadata);
+  console.log('Amount paid:', paymentIntent.amount / 100);
+
+  const order = await markOrderPaid(paymentIntent);
+  console.log('Order:', order.orderNumber, order.status);
+
+  await dispatchPaidOrder(order);
+}
+
+// Charges and disputes name their PaymentIntent but don't carry its metadata
+async function findOrderForPayment(paymentIntentId, eventType) {
+  const order = paymentIntentId && await findOrderByPaymentIntent(paymentIntentId);
+  if (!order) {
+    console.error(`No order found for PaymentIntent ${paymentIntentId} (${eventType}), ignoring`);
+  }
+  return order;
+}
+
+// ===========================================
+// payment_intent.payment_failed
+// ===========================================
+async function handlePaymentFailed(paymentIntent) {
+  const order = await getOrder(paymentIntent.metadata.orderNumber)
+    || await findOrderForPayment(paymentIntent.id, 'payment_intent.payment_failed');
+  if (!order) return;
+
+  const error = paymentIntent.last_payment_error;
+  const updated = await recordPaymentFailure(order, error && error.message);
+  console.log('Payment failed:', order.orderNumber, updated.status);
+}
+
+// ===========================================
+// charge.refunded
+// ===========================================
+// Fires for every refund on the charge, partial or full, with the running total
+async function handleChargeRefunded(charge) {
+  const order = await findOrderForPayment(charge.payment_intent, 'charge.refunded');
+  if (!order) return;
+
+  const updated = await applyRefund(order.orderNumber, {
+    amountRefunded: charge.amount_refunded,
+    currency: charge.currency,
+  });
+  console.log('Refund:', order.orderNumber, updated.status, charge.amount_refunded);
+}
+
+// ===========================================
+// charge.dispute.created / charge.dispute.closed
+// ===========================================
+async function handleDispute(dispute, eventType) {
+  const order = await findOrderForPayment(dispute.payment_intent, eventType);
+  if (!order) return;
+
+  const updated = eventType === 'charge.dispute.created'
+    ? await openDispute(order, dispute)
+    : await closeDispute(order, dispute);
+  console.log('Dispute:', order.orderNumber, dispute.status, updated.status);
+}
+
 async function handler(req, res) {
   console.log(`[webhook ${WEBHOOK_VERSION}] Incoming ${req.method} request`);
   console.log(`[webhook ${WEBHOOK_VERSION}] req.body type: ${typeof req.body}, defined: ${req.body !== undefined}`);
@@ -57,60 +181,45 @@ async function handler(req, res) {
     return res.status(400).send(`[${WEBHOOK_VERSION}] Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-
-    // Extract metadata and customer email
-    const metadata = paymentIntent.metadata;
-    const buyerEmail = metadata.buyerEmail || paymentIntent.receipt_email || paymentIntent.charges?.data[0]?.billing_details?.email;
-
-    console.log('Payment successful!');
-    console.log('Buyer email:', buyerEmail);
-    console.log('Recipient email:', metadata.recipientEmail);
-    console.log('Order details:', metadata);
-    console.log('Amount paid:', paymentIntent.amount / 100);
-
-    // Send order data to n8n webhook for certificate generation & email delivery
-    const n8nWebhookUrl = process.env.N8N_WEBHOOK_URL;
-    if (n8nWebhookUrl) {
-      try {
-        const n8nPayload = {
-          email: buyerEmail,
-          buyerEmail: buyerEmail,
-          recipientEmail: metadata.recipientEmail || '',
-          firstName: metadata.firstName,
-          lastName: metadata.lastName,
-          certificationDate: metadata.certificationDate,
-          degreeLevel: metadata.degreeLevel,
-          faculty: metadata.faculty,
-          achievement: metadata.achievement,
-          style: metadata.style,
-          paymentIntentId: paymentIntent.id,
-          amountPaid: paymentIntent.amount / 100,
-        };
-        console.log('Sending to n8n:', JSON.stringify(n8nPayload));
-
-        const n8nResponse = await fetch(n8nWebhookUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(n8nPayload),
-        });
-
-        const responseText = await n8nResponse.text();
-
-        if (!n8nResponse.ok) {
-          console.error(`n8n responded with ${n8nResponse.status}: ${responseText}`);
-        } else {
-          console.log('Order data sent to n8n successfully. Response:', responseText);
-        }
-      } catch (n8nError) {
-        console.error('Failed to send to n8n:', n8nError.message);
-        // Don't fail the webhook — Stripe needs a 200 response
-      }
-    } else {
-      console.error('N8N_WEBHOOK_URL not configured — certificate will NOT be generated or emailed');
+  // Stripe delivers events at least once; only the first delivery of an
+  // event id is processed
+  const store = getStore();
+  try {
+    const firstDelivery = await store.setIfAbsent(EVENT_KEY(event.id), {
+      type: event.type,
+      receivedAt: new Date().toISOString(),
+    }, { ttlSeconds: EVENT_TTL_SECONDS });
+
+    if (!firstDelivery) {
+      console.log(`[webhook ${WEBHOOK_VERSION}] Duplicate event ${event.id}, skipping`);
+      return res.status(200).json({ received: true, duplicate: true });
     }
+  } catch (err) {
+    console.error(`[webhook ${WEBHOOK_VERSION}] Event store unavailable:`, err.message);
+    return res.status(500).json({ error: 'Failed to process event', message: err.message });
+  }
+
+  try {
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await handlePaymentSucceeded(event.data.object);
+        break;
+      case 'payment_intent.payment_failed':
+        await handlePaymentFailed(event.data.object);
+        break;
+      case 'charge.refunded':
+        await handleChargeRefunded(event.data.object);
+        break;
+      case 'charge.dispute.created':
+      case 'charge.dispute.closed':
+        await handleDispute(event.data.object, event.type);
+        break;
+    }
+  } catch (err) {
+    // Nothing was queued, so let Stripe's retry process the event again
+    console.error(`[webhook ${WEBHOOK_VERSION}] Failed to process event ${event.id}:`, err.message);
+    await store.delete(EVENT_KEY(event.id)).catch(() => {});
+    return res.status(500).json({ error: 'Failed to process event', message: err.message });
   }
 
   res.status(200).json({ received: true });
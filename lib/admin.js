@@ -0,0 +1,208 @@
+const { isPaid, isHeld } = require('./orders');
+const { describeFlag } = require('./moderation');
+
+/**
+ * Admin reporting
+ *
+ * Order listings, revenue and problem orders for the admin dashboard
+ * (public/admin.html, via /api/admin). Everything is worked out from the
+ * order store on each request; there are few enough orders for that.
+ *
+ * Revenue counts what was actually kept: the amount paid less anything
+ * refunded, on the day the order was paid.
+ */
+
+// Columns of the order table and CSV export, in order
+const ORDER_COLUMNS = [
+  'orderNumber', 'createdAt', 'paidAt', 'status', 'style', 'tier', 'name',
+  'degreeLevel', 'faculty', 'buyerEmail', 'recipientEmail', 'amount',
+  'amountRefunded', 'currency', 'promoCode', 'serial', 'shipmentStatus',
+  'moderation', 'problem',
+];
+
+// ===========================================
+// HELPER: Order fields
+// ===========================================
+function paidAt(order) {
+  const paid = order.history.find(entry => entry.status === 'paid');
+  return paid ? paid.at : null;
+}
+
+function amountRefunded(order) {
+  return (order.refund && order.refund.amountRefunded) || 0;
+}
+
+/**
+ * What's wrong with an order that needs someone to look at it, or null.
+ */
+function orderProblem(order) {
+  // Unpaid orders may never be paid, so their holds can wait
+  const review = isHeld(order) && isPaid(order) && order.status !== 'refunded' ? order.moderation.status : null;
+  if (review === 'held') {
+    return `Held for review: ${order.moderation.flags.map(describeFlag).join('; ')}`;
+  }
+  if (review === 'rejected' && order.amount > amountRefunded(order)) {
+    return 'Rejected in review and not yet refunded';
+  }
+  if (order.status === 'failed') {
+    const failure = [...order.history].reverse().find(entry => entry.status === 'failed');
+    return `Delivery failed: ${(failure && failure.error) || (order.delivery && order.delivery.lastError) || 'unknown error'}`;
+  }
+  if (order.status === 'disputed') {
+    return `Payment disputed (${(order.dispute && order.dispute.reason) || 'no reason given'})`;
+  }
+  if (order.fulfillmentError) {
+    return `Print submission failed: ${order.fulfillmentError}`;
+  }
+  if (order.delivery && order.delivery.lastError && order.status !== 'emailed' && order.status !== 'refunded') {
+    return `Delivery retrying: ${order.delivery.lastError}`;
+  }
+  return null;
+}
+
+/**
+ * An order flattened to ORDER_COLUMNS.
+ */
+function orderRow(order) {
+  const { certificate } = order;
+  return {
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt,
+    paidAt: paidAt(order),
+    status: order.status,
+    style: order.style,
+    tier: order.tier,
+    name: order.group ? `Group of ${order.group.size}` : `${certificate.firstName} ${certificate.lastName}`.trim(),
+    degreeLevel: certificate.degreeLevel,
+    faculty: certificate.faculty,
+    buyerEmail: order.buyerEmail,
+    recipientEmail: order.recipientEmail,
+    amount: order.amount,
+    amountRefunded: amountRefunded(order),
+    currency: order.currency,
+    promoCode: order.promoCode,
+    serial: order.serial,
+    shipmentStatus: order.shipment ? order.shipment.status : null,
+    moderation: order.moderation ? order.moderation.status : null,
+    problem: orderProblem(order),
+  };
+}
+
+// ===========================================
+// Listing
+// ===========================================
+/**
+ * Filter orders (newest first, as listOrders() returns them).
+ *
+ * @param {object[]} orders
+ * @param {{ status?: string, style?: string, tier?: string, from?: string,
+ *   to?: string, problems?: boolean, moderation?: string }} filters
+ *   status and moderation (held, approved, rejected) may be comma-separated
+ *   lists; from and to are YYYY-MM-DD days (UTC, inclusive) of when the
+ *   order was placed
+ */
+function filterOrders(orders, { status, style, tier, from, to, problems, moderation } = {}) {
+  const statuses = status ? String(status).split(',') : null;
+  const reviews = moderation ? String(moderation).split(',') : null;
+  return orders.filter(order =>
+    (!statuses || statuses.includes(order.status)) &&
+    (!reviews || (order.moderation && reviews.includes(order.moderation.status))) &&
+    (!style || order.style === style) &&
+    (!tier || order.tier === tier) &&
+    (!from || order.createdAt.slice(0, 10) >= from) &&
+    (!to || order.createdAt.slice(0, 10) <= to) &&
+    (!problems || orderProblem(order) !== null));
+}
+
+// ===========================================
+// Revenue
+// ===========================================
+function addTo(groups, key, order) {
+  const group = groups.get(key) || { key, orders: 0, net: 0 };
+  group.orders += 1;
+  group.net += order.amount - amountRefunded(order);
+  groups.set(key, group);
+}
+
+function sortedGroups(groups, compare) {
+  return [...groups.values()].sort(compare);
+}
+
+/**
+ * Order counts, revenue and problem orders.
+ *
+ * @param {object[]} orders  typically filterOrders() output
+ * @returns {{ counts: object, revenue: object[], problems: object[] }}
+ *   revenue has one entry per currency:
+ *   { currency, orders, gross, refunded, net, byDay, byStyle, byFaculty },
+ *   where each by* list holds { key, orders, net }
+ */
+function orderStats(orders) {
+  const counts = {};
+  const revenue = new Map();
+
+  for (const order of orders) {
+    counts[order.status] = (counts[order.status] || 0) + 1;
+    if (!isPaid(order)) continue;
+
+    const currency = order.currency || 'cad';
+    if (!revenue.has(currency)) {
+      revenue.set(currency, {
+        currency, orders: 0, gross: 0, refunded: 0, net: 0,
+        byDay: new Map(), byStyle: new Map(), byFaculty: new Map(),
+      });
+    }
+    const totals = revenue.get(currency);
+    totals.orders += 1;
+    totals.gross += order.amount;
+    totals.refunded += amountRefunded(order);
+    totals.net += order.amount - amountRefunded(order);
+    addTo(totals.byDay, (paidAt(order) || order.createdAt).slice(0, 10), order);
+    addTo(totals.byStyle, order.style, order);
+    addTo(totals.byFaculty, order.certificate.faculty || '(none)', order);
+  }
+
+  const byRevenue = (a, b) => b.net - a.net || a.key.localeCompare(b.key);
+  return {
+    counts,
+    revenue: [...revenue.values()].map(totals => ({
+      ...totals,
+      byDay: sortedGroups(totals.byDay, (a, b) => a.key.localeCompare(b.key)),
+      byStyle: sortedGroups(totals.byStyle, byRevenue),
+      byFaculty: sortedGroups(totals.byFaculty, byRevenue),
+    })),
+    problems: orders.filter(order => orderProblem(order)).map(orderRow),
+  };
+}
+
+// ===========================================
+// CSV export
+// ===========================================
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from running customer-entered text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Orders as CSV, one row per order with ORDER_COLUMNS.
+ */
+function ordersToCsv(orders) {
+  const lines = [ORDER_COLUMNS.join(',')];
+  for (const order of orders) {
+    const row = orderRow(order);
+    lines.push(ORDER_COLUMNS.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  ORDER_COLUMNS,
+  orderProblem,
+  orderRow,
+  filterOrders,
+  orderStats,
+  ordersToCsv,
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+/**
+ * Operator authentication
+ *
+ * The bearer-token check from /api/cleanup, shared: a request carries
+ * Authorization: Bearer <secret>, matched against secrets from the
+ * environment. Each endpoint names the secrets it accepts; one that isn't
+ * set never matches.
+ *
+ *   CRON_SECRET   Vercel Cron (sent automatically) and operator scripts
+ *   ADMIN_SECRET  the admin dashboard (public/admin.html)
+ */
+
+const OPERATOR_SECRETS = ['CRON_SECRET', 'ADMIN_SECRET'];
+
+function matches(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Whether a request carries one of the named secrets.
+ *
+ * @param {object} req
+ * @param {string[]} [secrets]  environment variable names
+ */
+function isAuthorized(req, secrets = OPERATOR_SECRETS) {
+  const header = String(req.headers['authorization'] || '');
+  if (!header.startsWith('Bearer ')) return false;
+
+  const provided = header.slice('Bearer '.length);
+  return secrets.some(name => process.env[name] && matches(provided, process.env[name]));
+}
+
+/**
+ * Check a request and answer 401 when it fails. Handlers return straight
+ * away on false:
+ *
+ *   if (!requireAuth(req, res)) return;
+ */
+function requireAuth(req, res, secrets = OPERATOR_SECRETS) {
+  if (isAuthorized(req, secrets)) {
+    return true;
+  }
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
+
+module.exports = { OPERATOR_SECRETS, isAuthorized, requireAuth };
@@ -0,0 +1,147 @@
+const { getStore } = require('./store');
+
+/**
+ * Canva design registry
+ *
+ * /api/preview and the Canva renderer create a new Canva design (an
+ * autofill of a brand template) for every preview. None is needed once
+ * it's been exported, so each one is recorded here for /api/cleanup to
+ * delete from Canva:
+ *
+ *   canva-design:<designId>  { designId, templateId, createdAt, attempts,
+ *                              lastError }
+ *
+ * Designs older than DESIGN_TTL_HOURS (default 24) are purged in batches.
+ * The Canva client waits out short rate limits (lib/canva.js); when Canva
+ * keeps refusing, the rest is left for the next run.
+ */
+
+const DEFAULT_TTL_HOURS = 24;
+
+const DESIGN_KEY = (designId) => `canva-design:${designId}`;
+
+function ttlHours() {
+  const hours = Number(process.env.DESIGN_TTL_HOURS);
+  return hours > 0 ? hours : DEFAULT_TTL_HOURS;
+}
+
+// ===========================================
+// Registry
+// ===========================================
+/**
+ * Record a design /api/preview just created.
+ */
+async function registerDesign(designId, { templateId } = {}) {
+  const design = {
+    designId,
+    templateId: templateId || null,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null,
+  };
+  await getStore().set(DESIGN_KEY(designId), design);
+  return design;
+}
+
+async function getDesign(designId) {
+  return getStore().get(DESIGN_KEY(designId));
+}
+
+/**
+ * Every registered design, oldest first.
+ */
+async function listDesigns() {
+  const store = getStore();
+  const keys = await store.list(DESIGN_KEY(''));
+  const designs = await Promise.all(keys.map(key => store.get(key)));
+  return designs.filter(Boolean).sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Designs older than the TTL, oldest first.
+ *
+ * @param {{ hours?: number, now?: Date }} [options]
+ */
+async function listExpiredDesigns({ hours = ttlHours(), now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+  return (await listDesigns()).filter(design => design.createdAt && design.createdAt < cutoff);
+}
+
+// ===========================================
+// Cleanup
+// ===========================================
+// A 404 from the delete is only believed once Canva also can't find the
+// design: from an endpoint that doesn't exist, it would otherwise count
+// every design as cleaned while deleting none
+async function deleteFromCanva(canva, designId) {
+  try {
+    await canva.deleteDesign(designId);
+    return;
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  try {
+    await canva.getDesign(designId);
+  } catch (err) {
+    if (err.status === 404) return;
+    throw err;
+  }
+  const err = new Error(`Canva answered 404 to deleting design ${designId}, but still has it`);
+  err.status = 404;
+  throw err;
+}
+
+/**
+ * Delete one batch of expired designs from Canva and forget them.
+ *
+ * A design counts as cleaned when Canva deletes it (2xx), or when it
+ * answers 404 and a lookup confirms the design is gone. Other failures are
+ * recorded on the design and retried next run. Once Canva keeps refusing
+ * with 429, the rest of the batch is left for the next run too.
+ *
+ * @param {{ deleteDesign: Function, getDesign: Function }} canva  a
+ *   CanvaClient, or anything that throws errors with the HTTP status as
+ *   err.status like CanvaError
+ * @param {{ hours?: number, limit: number }} options
+ * @returns {Promise<{ cleaned: number, errors: number, remaining: number,
+ *   rateLimited: boolean, failures: { designId: string, error: string }[] }>}
+ */
+async function purgeExpiredDesigns(canva, { hours, limit }) {
+  const store = getStore();
+  const expired = await listExpiredDesigns({ hours });
+  const batch = expired.slice(0, limit);
+  const result = { cleaned: 0, errors: 0, remaining: 0, rateLimited: false, failures: [] };
+
+  for (const design of batch) {
+    try {
+      await deleteFromCanva(canva, design.designId);
+    } catch (err) {
+      if (err.status === 429) {
+        result.rateLimited = true;
+        break;
+      }
+      result.errors += 1;
+      result.failures.push({ designId: design.designId, error: err.message });
+      await store.set(DESIGN_KEY(design.designId), {
+        ...design,
+        attempts: (design.attempts || 0) + 1,
+        lastError: err.message,
+      });
+      continue;
+    }
+
+    await store.delete(DESIGN_KEY(design.designId));
+    result.cleaned += 1;
+  }
+
+  result.remaining = expired.length - result.cleaned;
+  return result;
+}
+
+module.exports = {
+  registerDesign,
+  getDesign,
+  listDesigns,
+  listExpiredDesigns,
+  purgeExpiredDesigns,
+};
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { registerDesign } = require('./canva-designs');
+
+/**
+ * Canva jobs
+ *
+ * Previews (an autofill of a brand template) run as Canva jobs that can
+ * outlast a serverless function. Each is recorded under its own id, so
+ * whoever started it can follow it through /api/jobs when /api/preview
+ * stops waiting:
+ *
+ *   canva-job:<id>  { id, kind, canvaJobId, params, status, result, error,
+ *                     createdAt, finishedAt }
+ *
+ * status is in_progress, success or failed. The work after Canva is done
+ * (registering the design, fetching its thumbnail) runs exactly once, by
+ * whichever request sees the job finish first. Nobody may: a preview
+ * started with { async: true }, or answered 202, isn't always followed up.
+ * /api/cleanup finishes those with settleAbandonedJobs(), so their designs
+ * are registered and cleaned up too.
+ */
+
+// Ids are unguessable, so nobody can follow someone else's job
+const JOB_ID_BYTES = 16;
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+const FINISH_LOCK_TTL_SECONDS = 60;
+
+// Long past anyone still polling, well inside JOB_TTL_SECONDS
+const ABANDONED_AFTER_MS = 60 * 60 * 1000;
+
+const JOB_KEY = (id) => `canva-job:${id}`;
+const FINISH_LOCK_KEY = (id) => `canva-job:${id}:finish`;
+
+// ===========================================
+// Job kinds
+// ===========================================
+const JOB_KINDS = {
+  // params: { templateId, data, pageNumber }
+  preview: {
+    async start(canva, { templateId, data }, options) {
+      return (await canva.createAutofillJob(templateId, data, options)).job.id;
+    },
+    poll(canva, canvaJobId, options) {
+      return canva.getAutofillJob(canvaJobId, options);
+    },
+    async finish(canva, result, { templateId, pageNumber }, options) {
+      const designId = result.design.id;
+      await registerDesign(designId, { templateId });
+
+      // Get the thumbnail for the requested page
+      const pages = await canva.getDesignPages(designId, { offset: pageNumber - 1, limit: 1 }, options);
+      let thumbnailUrl;
+      if (pages.items && pages.items.length > 0) {
+        thumbnailUrl = pages.items[0].thumbnail.url;
+      } else {
+        // Fallback to design thumbnail
+        const design = await canva.getDesign(designId, options);
+        thumbnailUrl = design.design.thumbnail.url;
+      }
+      return { designId, thumbnailUrl, pageNumber };
+    },
+  },
+};
+
+// What callers get to see of a job
+function jobView(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+async function saveJob(job) {
+  await getStore().set(JOB_KEY(job.id), job, { ttlSeconds: JOB_TTL_SECONDS });
+  return job;
+}
+
+// ===========================================
+// Running jobs
+// ===========================================
+/**
+ * Start a job on Canva and record it.
+ *
+ * @param {CanvaClient} canva
+ * @param {'preview'} kind
+ * @param {object} params  see JOB_KINDS
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<object>} the job view
+ */
+async function startCanvaJob(canva, kind, params, options) {
+  const canvaJobId = await JOB_KINDS[kind].start(canva, params, options);
+  const job = await saveJob({
+    id: crypto.randomBytes(JOB_ID_BYTES).toString('base64url'),
+    kind,
+    canvaJobId,
+    params,
+    status: 'in_progress',
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+  });
+  return jobView(job);
+}
+
+async function settleJob(job, changes) {
+  return saveJob({ ...job, ...changes, finishedAt: new Date().toISOString() });
+}
+
+async function finishJob(canva, job, canvaResult, options) {
+  const store = getStore();
+  if (!await store.setIfAbsent(FINISH_LOCK_KEY(job.id), true, { ttlSeconds: FINISH_LOCK_TTL_SECONDS })) {
+    // Someone else is finishing it
+    return jobView(job);
+  }
+
+  try {
+    const current = await store.get(JOB_KEY(job.id));
+    if (current.status !== 'in_progress') {
+      return jobView(current);
+    }
+    const result = await JOB_KINDS[job.kind].finish(canva, canvaResult, job.params, options);
+    return jobView(await settleJob(current, { status: 'success', result }));
+  } catch (err) {
+    console.error(`Canva ${job.kind} job ${job.id} failed after Canva finished:`, err);
+    return jobView(await settleJob(job, { status: 'failed', error: err.message }));
+  } finally {
+    await store.delete(FINISH_LOCK_KEY(job.id));
+  }
+}
+
+/**
+ * Follow a job until it's done or timeoutMs has passed, whichever is first.
+ * A timeout of 0 checks on it once.
+ *
+ * @param {CanvaClient} canva
+ * @param {string} id
+ * @param {{ timeoutMs: number, signal?: AbortSignal }} options
+ * @returns {Promise<object|null>} the job view (status in_progress if it's
+ *   still running), or null when there's no such job
+ */
+async function waitForCanvaJob(canva, id, { timeoutMs, signal }) {
+  const job = await getStore().get(JOB_KEY(id));
+  if (!job) {
+    return null;
+  }
+  if (job.status !== 'in_progress') {
+    return jobView(job);
+  }
+
+  const kind = JOB_KINDS[job.kind];
+  let canvaResult;
+  try {
+    canvaResult = await canva.waitForJob(() => kind.poll(canva, job.canvaJobId, { signal }), { timeoutMs, signal });
+  } catch (err) {
+    if (err.code === 'job_timeout') {
+      return jobView(job);
+    }
+    if (err.code === 'job_failed') {
+      return jobView(await settleJob(job, { status: 'failed', error: err.message }));
+    }
+    throw err;
+  }
+  return finishJob(canva, job, canvaResult, { signal });
+}
+
+/**
+ * Finish jobs still in progress long after they started, checking each on
+ * Canva once. One that's done is finished as if its caller had polled it.
+ *
+ * @param {CanvaClient} canva
+ * @param {{ olderThanMs?: number, limit: number }} options
+ * @returns {Promise<number>} how many were settled
+ */
+async function settleAbandonedJobs(canva, { olderThanMs = ABANDONED_AFTER_MS, limit }) {
+  const store = getStore();
+  const cutoff = new Date(Date.now() - olderThanMs).toISOString();
+  const keys = (await store.list(JOB_KEY(''))).filter(key => !key.endsWith(':finish'));
+  const jobs = (await Promise.all(keys.map(key => store.get(key))))
+    .filter(job => job && job.status === 'in_progress' && job.createdAt < cutoff)
+    .slice(0, limit);
+
+  let settled = 0;
+  for (const job of jobs) {
+    try {
+      const view = await waitForCanvaJob(canva, job.id, { timeoutMs: 0 });
+      if (view && view.status !== 'in_progress') settled += 1;
+    } catch (err) {
+      // Left for the next run
+      console.error(`Checking abandoned Canva job ${job.id} failed:`, err.message);
+    }
+  }
+  return settled;
+}
+
+// ===========================================
+// HTTP
+// ===========================================
+/**
+ * An AbortSignal that fires when the client goes away before the response
+ * is sent, so nobody keeps polling Canva for them.
+ */
+function disconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Answer with a job: its result once it succeeded, 202 with where to
+ * follow it while it's running.
+ *
+ * @param {object} res
+ * @param {object} job      a job view
+ * @param {string} failure  the error to report if it failed
+ */
+function sendJob(res, job, failure) {
+  if (job.status === 'success') {
+    return res.status(200).json({ success: true, jobId: job.id, ...job.result });
+  }
+  if (job.status === 'failed') {
+    return res.status(500).json({ error: failure, message: job.error, jobId: job.id });
+  }
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs?id=${encodeURIComponent(job.id)}`,
+  });
+}
+
+module.exports = {
+  startCanvaJob,
+  waitForCanvaJob,
+  settleAbandonedJobs,
+  disconnectSignal,
+  sendJob,
+};
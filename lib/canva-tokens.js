@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+/**
+ * Canva OAuth tokens
+ *
+ * The Canva connection made through /api/auth/login and /api/auth/callback
+ * is kept in the store, encrypted with AES-256-GCM under
+ * CANVA_TOKEN_ENCRYPTION_KEY (any long random string):
+ *
+ *   canva:tokens  { iv, tag, data }  ->  { accessToken, refreshToken,
+ *                                          expiresAt, scope, updatedAt }
+ *
+ * Access tokens last a few hours. getAccessToken() refreshes one that is
+ * about to expire, and the Canva client (lib/canva.js) calls
+ * refreshAccessToken() when Canva rejects one early. Canva rotates the
+ * refresh token on every refresh, so only one refresh runs at a time; the
+ * others wait for it.
+ *
+ * Until the connection has been made, CANVA_ACCESS_TOKEN and
+ * CANVA_REFRESH_TOKEN are used, and the first refresh stores the result.
+ */
+
+const TOKENS_KEY = 'canva:tokens';
+const REFRESH_LOCK_KEY = 'canva:tokens:refresh-lock';
+
+// Registered with Canva as the app's redirect URL
+const REDIRECT_URI = 'https://phuckeryuniversity.vercel.app/api/auth/callback';
+
+// Refresh this long before expiry, so a token doesn't run out mid-request
+const EXPIRY_MARGIN_SECONDS = 5 * 60;
+
+const REFRESH_LOCK_TTL_SECONDS = 30;
+const REFRESH_WAIT_MS = 10 * 1000;
+const REFRESH_POLL_MS = 250;
+
+function canvaApiBaseUrl() {
+  return process.env.CANVA_API_BASE_URL || 'https://api.canva.com/rest/v1';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ===========================================
+// HELPER: Encryption
+// ===========================================
+function encryptionKey() {
+  const secret = process.env.CANVA_TOKEN_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CANVA_TOKEN_ENCRYPTION_KEY not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(sealed.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+// ===========================================
+// Storage
+// ===========================================
+/**
+ * The stored connection, or the environment's tokens before there is one.
+ *
+ * @returns {Promise<{ accessToken: string, refreshToken: string|null,
+ *   expiresAt: string|null, scope: string|null, updatedAt: string|null } | null>}
+ */
+async function loadTokens() {
+  const sealed = await getStore().get(TOKENS_KEY);
+  if (sealed) {
+    return decrypt(sealed);
+  }
+  if (!process.env.CANVA_ACCESS_TOKEN && !process.env.CANVA_REFRESH_TOKEN) {
+    return null;
+  }
+  return {
+    accessToken: process.env.CANVA_ACCESS_TOKEN || null,
+    refreshToken: process.env.CANVA_REFRESH_TOKEN || null,
+    expiresAt: null,
+    scope: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * Store a token response from Canva's /oauth/token.
+ *
+ * @param {{ access_token: string, refresh_token?: string, expires_in?: number, scope?: string }} response
+ * @param {string|null} [previousRefreshToken]  kept if Canva didn't send a new one
+ */
+async function saveTokens(response, previousRefreshToken = null) {
+  const now = Date.now();
+  const tokens = {
+    accessToken: response.access_token,
+    refreshToken: response.refresh_token || previousRefreshToken,
+    expiresAt: response.expires_in ? new Date(now + response.expires_in * 1000).toISOString() : null,
+    scope: response.scope || null,
+    updatedAt: new Date(now).toISOString(),
+  };
+  await getStore().set(TOKENS_KEY, encrypt(tokens));
+  return tokens;
+}
+
+// ===========================================
+// OAuth token endpoint
+// ===========================================
+/**
+ * Call Canva's /oauth/token with a grant.
+ *
+ * @param {object} grant  e.g. { grant_type: 'authorization_code', code, code_verifier }
+ */
+async function requestTokens(grant) {
+  const response = await fetch(`${canvaApiBaseUrl()}/oauth/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      ...grant,
+      client_id: process.env.CANVA_CLIENT_ID,
+      client_secret: process.env.CANVA_CLIENT_SECRET,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Canva token request failed: ${data.error_description || data.error || response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Swap an authorization code from the OAuth callback for tokens and store them.
+ */
+async function exchangeAuthorizationCode(code, codeVerifier) {
+  const response = await requestTokens({
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: REDIRECT_URI,
+  });
+  return saveTokens(response);
+}
+
+// ===========================================
+// Access tokens
+// ===========================================
+function isExpiring(tokens) {
+  return Boolean(tokens.expiresAt) &&
+    new Date(tokens.expiresAt).getTime() - EXPIRY_MARGIN_SECONDS * 1000 <= Date.now();
+}
+
+/**
+ * Get a new access token.
+ *
+ * @param {string|null} [rejected]  the access token Canva just refused; if
+ *   the stored one is already different, someone else has refreshed it
+ * @returns {Promise<string>}
+ */
+async function refreshAccessToken(rejected = null) {
+  const store = getStore();
+  const deadline = Date.now() + REFRESH_WAIT_MS;
+
+  while (!await store.setIfAbsent(REFRESH_LOCK_KEY, true, { ttlSeconds: REFRESH_LOCK_TTL_SECONDS })) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for another Canva token refresh');
+    }
+    await sleep(REFRESH_POLL_MS);
+  }
+
+  try {
+    const tokens = await loadTokens();
+    if (!tokens || !tokens.refreshToken) {
+      throw new Error('Canva is not connected; connect it from the admin dashboard');
+    }
+    if (tokens.accessToken && tokens.accessToken !== rejected && !isExpiring(tokens)) {
+      return tokens.accessToken;
+    }
+
+    const response = await requestTokens({ grant_type: 'refresh_token', refresh_token: tokens.refreshToken });
+    const refreshed = await saveTokens(response, tokens.refreshToken);
+    console.log(`Refreshed Canva access token (expires ${refreshed.expiresAt || 'unknown'})`);
+    return refreshed.accessToken;
+  } finally {
+    await store.delete(REFRESH_LOCK_KEY);
+  }
+}
+
+/**
+ * A Canva access token that is good for at least a few more minutes, or
+ * null when Canva hasn't been connected.
+ */
+async function getAccessToken() {
+  const tokens = await loadTokens();
+  if (!tokens) {
+    return null;
+  }
+  if (tokens.accessToken && !isExpiring(tokens)) {
+    return tokens.accessToken;
+  }
+  return refreshAccessToken(tokens.accessToken);
+}
+
+module.exports = {
+  REDIRECT_URI,
+  loadTokens,
+  saveTokens,
+  exchangeAuthorizationCode,
+  getAccessToken,
+  refreshAccessToken,
+};
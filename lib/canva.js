@@ -0,0 +1,278 @@
+const { getAccessToken, refreshAccessToken } = require('./canva-tokens');
+
+/**
+ * Canva Connect API client
+ *
+ * The one client for /api/preview, /api/cleanup, /api/jobs and the Canva
+ * renderer (lib/render/renderers/canva.js). Every request:
+ *
+ *   - uses the stored access token (lib/canva-tokens.js), refreshing it
+ *     once when Canva answers 401
+ *   - is aborted after REQUEST_TIMEOUT_MS, or when the caller's signal fires
+ *   - is retried with exponential backoff and full jitter on a network
+ *     error, timeout or 5xx (reads and deletes only; a POST may have been
+ *     carried out) and on 429, after Canva's Retry-After when it sends one
+ *
+ * Failures throw CanvaError, which carries the HTTP status and Retry-After.
+ * Long-running work (autofill, export) is started as a job and awaited
+ * with waitForJob(), which backs off between polls and gives up at a
+ * deadline or when cancelled.
+ *
+ * CANVA_API_BASE_URL points the client somewhere else, e.g. a local fake
+ * Canva server for testing.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.canva.com/rest/v1';
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8 * 1000;
+
+// A longer Retry-After is handed back to the caller rather than slept through
+const MAX_RETRY_AFTER_SECONDS = 10;
+
+const FIRST_POLL_DELAY_MS = 500;
+const MAX_POLL_DELAY_MS = 3 * 1000;
+
+class CanvaError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, code?: string, retryAfter?: number }} [details]
+   *   status is null for network errors and timeouts; retryAfter is in seconds
+   */
+  constructor(message, { status = null, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'CanvaError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// ===========================================
+// HELPER: Timing
+// ===========================================
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(cancelled());
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(cancelled());
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function cancelled() {
+  return new CanvaError('Canva request cancelled', { code: 'cancelled' });
+}
+
+// 0 .. min(cap, base * 2^attempt), so retries from many callers spread out
+function backoffMs(attempt) {
+  return Math.random() * Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+}
+
+function isRetryable(err, method) {
+  if (err.code === 'cancelled') return false;
+  if (err.status === 429) return true;
+  const idempotent = method === 'GET' || method === 'DELETE';
+  return idempotent && (err.status === null || err.status >= 500);
+}
+
+// ===========================================
+// CLIENT
+// ===========================================
+class CanvaClient {
+  /**
+   * @param {string} accessToken  from getAccessToken()
+   * @param {{ baseUrl?: string, timeoutMs?: number, maxRetries?: number }} [options]
+   */
+  constructor(accessToken, { baseUrl, timeoutMs = REQUEST_TIMEOUT_MS, maxRetries = MAX_RETRIES } = {}) {
+    this.accessToken = accessToken;
+    this.baseUrl = baseUrl || process.env.CANVA_API_BASE_URL || DEFAULT_BASE_URL;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+  }
+
+  /**
+   * Make a request, with retries.
+   *
+   * @param {string} method
+   * @param {string} endpoint  path under the API base, e.g. '/designs/abc'
+   * @param {{ body?: object, signal?: AbortSignal }} [options]
+   * @returns {Promise<object|null>} the JSON response (null when empty)
+   */
+  async request(method, endpoint, { body = null, signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(method, endpoint, body, signal);
+      } catch (err) {
+        if (!isRetryable(err, method) || attempt >= this.maxRetries) {
+          throw err;
+        }
+        if (err.retryAfter > MAX_RETRY_AFTER_SECONDS) {
+          throw err;
+        }
+        const delay = err.retryAfter ? err.retryAfter * 1000 : backoffMs(attempt);
+        console.warn(`Canva ${method} ${endpoint} failed (${err.message}); retry ${attempt + 1} in ${Math.round(delay)}ms`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  // One attempt; a 401 refreshes the token and tries once more
+  async send(method, endpoint, body, signal, refreshed = false) {
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${endpoint}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+    } catch (err) {
+      if (signal && signal.aborted) throw cancelled();
+      if (timeout.aborted) {
+        throw new CanvaError(`Canva ${method} ${endpoint} timed out after ${this.timeoutMs}ms`, { code: 'timeout' });
+      }
+      throw new CanvaError(`Canva ${method} ${endpoint} failed: ${err.message}`, { code: 'network' });
+    }
+
+    // Expired or revoked early
+    if (response.status === 401 && !refreshed) {
+      this.accessToken = await refreshAccessToken(this.accessToken);
+      return this.send(method, endpoint, body, signal, true);
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new CanvaError(`Canva API Error: ${response.status} - ${error.message || error.code || 'Unknown'}`, {
+        status: response.status,
+        code: error.code || null,
+        retryAfter: Number(response.headers.get('retry-after')) || null,
+      });
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  // ===========================================
+  // Autofill
+  // ===========================================
+  /**
+   * Start an autofill job from a brand template.
+   *
+   * @returns {Promise<{ job: { id: string, status: string } }>}
+   */
+  async createAutofillJob(brandTemplateId, data, options) {
+    return this.request('POST', '/autofill/create', { ...options, body: { brand_template_id: brandTemplateId, data } });
+  }
+
+  async getAutofillJob(jobId, options) {
+    return this.request('GET', `/autofill/jobs/${encodeURIComponent(jobId)}`, options);
+  }
+
+  // ===========================================
+  // Exports
+  // ===========================================
+  /**
+   * Start an export job.
+   *
+   * @param {string} designId
+   * @param {{ format?: string, pages?: number[] }} [format]  pages are 1-based
+   */
+  async createExportJob(designId, { format = 'pdf', pages = null } = {}, options) {
+    const body = { design_id: designId, format: { type: format } };
+    if (pages && pages.length > 0) {
+      body.format.pages = pages;
+    }
+    return this.request('POST', '/exports', { ...options, body });
+  }
+
+  async getExportJob(jobId, options) {
+    return this.request('GET', `/exports/${encodeURIComponent(jobId)}`, options);
+  }
+
+  // ===========================================
+  // Designs
+  // ===========================================
+  async getDesign(designId, options) {
+    return this.request('GET', `/designs/${encodeURIComponent(designId)}`, options);
+  }
+
+  /**
+   * A design's pages with thumbnails.
+   */
+  async getDesignPages(designId, { offset = 0, limit = 1 } = {}, options) {
+    return this.request('GET', `/designs/${encodeURIComponent(designId)}/pages?offset=${offset}&limit=${limit}`, options);
+  }
+
+  /**
+   * Delete a design. Not confirmed against Canva's API reference, so
+   * cleanup checks that a design is really gone before forgetting it (see
+   * lib/canva-designs.js); scripts/fake-canva-server.js serves it for testing.
+   */
+  async deleteDesign(designId, options) {
+    return this.request('DELETE', `/designs/${encodeURIComponent(designId)}`, options);
+  }
+
+  // ===========================================
+  // Jobs
+  // ===========================================
+  /**
+   * Poll a job until it finishes.
+   *
+   * @param {() => Promise<{ job: object }>} poll  e.g. () => canva.getExportJob(id)
+   * @param {{ timeoutMs: number, signal?: AbortSignal }} options
+   * @returns {Promise<object>} the job's result
+   * @throws {CanvaError} code 'job_failed', 'job_timeout' or 'cancelled'
+   */
+  async waitForJob(poll, { timeoutMs, signal }) {
+    const deadline = Date.now() + timeoutMs;
+    let delay = FIRST_POLL_DELAY_MS;
+
+    for (;;) {
+      const { job } = await poll();
+      if (job.status === 'success') {
+        return job.result;
+      }
+      if (job.status === 'failed') {
+        throw new CanvaError(`Canva job failed: ${(job.error && job.error.message) || 'Unknown error'}`, {
+          code: 'job_failed',
+        });
+      }
+      if (Date.now() + delay > deadline) {
+        throw new CanvaError(`Canva job still running after ${timeoutMs}ms`, { code: 'job_timeout' });
+      }
+      await sleep(delay, signal);
+      delay = Math.min(delay * 1.5, MAX_POLL_DELAY_MS);
+    }
+  }
+}
+
+/**
+ * A client for the connected Canva account, or null when Canva isn't
+ * connected.
+ */
+async function createCanvaClient(options) {
+  const accessToken = await getAccessToken();
+  return accessToken ? new CanvaClient(accessToken, options) : null;
+}
+
+module.exports = {
+  CanvaError,
+  CanvaClient,
+  createCanvaClient,
+};
@@ -0,0 +1,118 @@
+/**
+ * Product catalog
+ *
+ * The only source of truth for what each tier costs. Payment amounts are
+ * always looked up here from the tier (and currency) the buyer picked;
+ * nothing price-related from the client is trusted.
+ *
+ * Amounts are in the currency's smallest unit, as Stripe expects. Tiers
+ * with requiresShipping are printed and mailed (see ./fulfillment).
+ *
+ * Group orders (see ./group-orders) pay the tier's price per recipient,
+ * less a volume discount for larger groups.
+ */
+
+const DEFAULT_CURRENCY = 'cad';
+
+const PRODUCTS = {
+  digital: {
+    label: 'Digital Download',
+    description: 'High-res PDF delivered via email',
+    prices: { cad: 999 },
+  },
+  printed: {
+    label: 'Printed Diploma',
+    description: 'Premium cardstock, shipped to you',
+    prices: { cad: 3999 },
+    requiresShipping: true,
+  },
+  framed: {
+    label: 'Printed & Framed',
+    description: 'Ready to hang, museum-quality frame',
+    prices: { cad: 7999 },
+    requiresShipping: true,
+  },
+};
+
+// Percent off each recipient's price, by group size; largest first
+const VOLUME_DISCOUNTS = [
+  { minQuantity: 20, percentOff: 20 },
+  { minQuantity: 10, percentOff: 15 },
+  { minQuantity: 5, percentOff: 10 },
+];
+
+/**
+ * Price of a tier in a currency.
+ *
+ * @param {string} tier
+ * @param {string} [currency]
+ * @returns {{ tier: string, label: string, amount: number, currency: string, requiresShipping: boolean } | null}
+ *          null when the tier doesn't exist or isn't sold in that currency
+ */
+function getPrice(tier, currency = DEFAULT_CURRENCY) {
+  const product = Object.prototype.hasOwnProperty.call(PRODUCTS, tier) ? PRODUCTS[tier] : null;
+  const code = String(currency).toLowerCase();
+  if (!product || !product.prices[code]) {
+    return null;
+  }
+  return {
+    tier,
+    label: product.label,
+    amount: product.prices[code],
+    currency: code,
+    requiresShipping: Boolean(product.requiresShipping),
+  };
+}
+
+/**
+ * Price of a group order: a tier for each of `quantity` recipients, less
+ * the volume discount for that many.
+ *
+ * @param {string} tier
+ * @param {number} quantity
+ * @param {string} [currency]
+ * @returns {{ tier: string, label: string, quantity: number, unitAmount: number,
+ *   percentOff: number, listAmount: number, amount: number, currency: string,
+ *   requiresShipping: boolean } | null}
+ *   unitAmount is per recipient after the volume discount; listAmount is
+ *   what the group would cost without it
+ */
+function getGroupPrice(tier, quantity, currency = DEFAULT_CURRENCY) {
+  const price = getPrice(tier, currency);
+  if (!price || !Number.isInteger(quantity) || quantity < 1) {
+    return null;
+  }
+  const volume = VOLUME_DISCOUNTS.find(discount => quantity >= discount.minQuantity);
+  const percentOff = volume ? volume.percentOff : 0;
+  const unitAmount = Math.round((price.amount * (100 - percentOff)) / 100);
+  return {
+    ...price,
+    label: `${price.label} × ${quantity}`,
+    quantity,
+    unitAmount,
+    percentOff,
+    listAmount: price.amount * quantity,
+    amount: unitAmount * quantity,
+  };
+}
+
+/**
+ * Whether a tier is printed and shipped.
+ */
+function requiresShipping(tier) {
+  return Boolean(PRODUCTS[tier] && PRODUCTS[tier].requiresShipping);
+}
+
+/**
+ * Every tier with its price in one currency, in display order.
+ */
+function listProducts(currency = DEFAULT_CURRENCY) {
+  return Object.keys(PRODUCTS)
+    .map(tier => {
+      const price = getPrice(tier, currency);
+      return price && { ...price, description: PRODUCTS[tier].description };
+    })
+    .filter(Boolean);
+}
+
+module.exports = { DEFAULT_CURRENCY, VOLUME_DISCOUNTS, getPrice, getGroupPrice, listProducts, requiresShipping };
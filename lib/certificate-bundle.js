@@ -0,0 +1,64 @@
+const { renderCertificate, renderCertificates } = require('./render');
+const { createZipWriter } = require('./zip');
+
+/**
+ * Certificate bundles
+ *
+ * Several certificates as one download: a PDF with a page each, or a ZIP of
+ * one PDF per certificate. Batch renders from /api/generate-certificate and
+ * group orders' downloads (/api/group-bundle) both come through here.
+ *
+ * The PDF's pages share fonts and backgrounds, so it stays small and is
+ * sent whole. A ZIP holds a full PDF per certificate and can run to tens of
+ * megabytes, so it's streamed: each file is written out as soon as it's
+ * rendered, and the first bytes leave before the last certificate exists.
+ */
+
+const BUNDLE_FORMATS = ['zip', 'pdf'];
+
+const CONTENT_TYPES = {
+  zip: 'application/zip',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Content type of a bundle format.
+ */
+function bundleContentType(format) {
+  return CONTENT_TYPES[format];
+}
+
+/**
+ * Render certificates and write them to a stream as a bundle, ending it.
+ *
+ * @param {import('stream').Writable} stream  e.g. an HTTP response, with its
+ *                                            headers already set
+ * @param {{ name: string, fields: object }[]} files  a ZIP entry name and the
+ *                                            certificate fields for each page
+ * @param {'zip'|'pdf'} format
+ * @param {object} [options]  render options for every certificate (see ./render)
+ */
+async function writeCertificateBundle(stream, files, format, options = {}) {
+  if (!BUNDLE_FORMATS.includes(format)) {
+    throw new Error(`Unknown bundle format: ${format}`);
+  }
+
+  if (format === 'pdf') {
+    const { pdfBytes } = await renderCertificates(files.map(file => file.fields), options);
+    stream.end(Buffer.from(pdfBytes));
+    return;
+  }
+
+  const zip = createZipWriter(stream);
+  for (const file of files) {
+    const { pdfBytes } = await renderCertificate(file.fields, options);
+    await zip.add({ name: file.name, data: pdfBytes });
+  }
+  await zip.finish();
+}
+
+module.exports = {
+  BUNDLE_FORMATS,
+  bundleContentType,
+  writeCertificateBundle,
+};
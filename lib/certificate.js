@@ -0,0 +1,386 @@
+const { PDFDocument, rgb, cmyk, degrees } = require('pdf-lib');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const QRCode = require('qrcode');
+const fs = require('fs');
+const path = require('path');
+const { fitText, blockBaselines } = require('./text-layout');
+const { createFontChain, embedFonts } = require('./fonts');
+const { SLOT_TEXT, getTemplate, buildSlotText } = require('./templates');
+const { verificationUrl } = require('./verification');
+
+/**
+ * Certificate renderer
+ *
+ * Builds the diploma PDF with pdf-lib: background image, then the name,
+ * date line, degree and achievement text laid out per the style's template
+ * manifest (see ./templates) in the bundled fonts (see ./fonts). Paid
+ * certificates also get their serial number and a QR code linking to the
+ * verification page (see ./verification).
+ *
+ * This is the `local` renderer (see ./render). Canva-rendered styles come
+ * through here too, with their exported artwork in place of the background
+ * and text, so every style gets the same serial, QR code and watermark.
+ */
+
+// ===========================================
+// PAGE CONFIGURATION
+// ===========================================
+// All templates are 4000x3091 pixels
+// PDF page will be letter-landscape (792x612 points)
+// Scale factor: 792/4000 = 0.198
+
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+
+// Text fitting defaults per slot, merged under each style's slot config.
+// maxWidth keeps text clear of the page edges and border artwork;
+// text shrinks to minFontSize, then wraps to at most maxLines.
+const SLOT_DEFAULTS = {
+  name:        { maxWidth: 560, maxLines: 2, minFontSize: 18 },
+  dateLine:    { maxWidth: 600, maxLines: 1, minFontSize: 10 },
+  degree:      { maxWidth: 620, maxLines: 2, minFontSize: 13 },
+  achievement: { maxWidth: 600, maxLines: 2, minFontSize: 10 },
+};
+
+// Order in which slots are laid out and reported
+const SLOTS = Object.keys(SLOT_TEXT);
+
+const WATERMARK_FONT = 'NotoSansBold';
+
+const SERIAL_FONT = 'NotoSans';
+const SERIAL_FONT_SIZE = 5.5;
+// Room under the QR code for the serial number
+const SERIAL_LABEL_HEIGHT = 8;
+// Modules of white around the QR code, which scanners need to find it
+const QR_QUIET_ZONE = 2;
+
+// Preview renders use a downsampled JPEG of the background (1000px wide)
+// so the free preview is never print quality
+const PREVIEW_BG_SCALE = 0.25;
+const PREVIEW_BG_QUALITY = 60;
+
+// Backgrounds as one-page PDFs, cached per file between warm invocations.
+// Decoding a full-size PNG takes a second or two; embedding the finished
+// page takes milliseconds, and every page drawn on it shares the one image.
+const backgroundPages = new Map();
+
+// ===========================================
+// HELPER: Locate background image
+// ===========================================
+// Try multiple paths to work in both Vercel and local environments
+function findBackground(bgFilename) {
+  const possiblePaths = [
+    path.join(process.cwd(), 'public', bgFilename),
+    path.join(__dirname, '..', 'public', bgFilename),
+  ];
+  const bgPath = possiblePaths.find(p => fs.existsSync(p));
+  if (!bgPath) {
+    throw new Error(`Background image not found: ${bgFilename}`);
+  }
+  return bgPath;
+}
+
+// ===========================================
+// HELPER: Downsample background for previews
+// ===========================================
+async function downsampleBackground(bgBytes) {
+  const image = await loadImage(bgBytes);
+  const width = Math.round(image.width * PREVIEW_BG_SCALE);
+  const height = Math.round(image.height * PREVIEW_BG_SCALE);
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  return canvas.encode('jpeg', PREVIEW_BG_QUALITY);
+}
+
+// ===========================================
+// HELPER: Background page, decoded once
+// ===========================================
+async function buildBackgroundPage(bgFilename, preview) {
+  const bgBytes = fs.readFileSync(findBackground(bgFilename));
+  const pdfDoc = await PDFDocument.create();
+  const image = preview
+    ? await pdfDoc.embedJpg(await downsampleBackground(bgBytes))
+    : await pdfDoc.embedPng(bgBytes);
+  pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]).drawImage(image, { x: 0, y: 0, width: PAGE_WIDTH, height: PAGE_HEIGHT });
+  return pdfDoc.save();
+}
+
+function getBackgroundPage(bgFilename, preview) {
+  const key = preview ? `${bgFilename}:preview` : bgFilename;
+  if (!backgroundPages.has(key)) {
+    const page = buildBackgroundPage(bgFilename, preview);
+    // Don't cache a failure
+    page.catch(() => backgroundPages.delete(key));
+    backgroundPages.set(key, page);
+  }
+  return backgroundPages.get(key);
+}
+
+// ===========================================
+// HELPER: Diagonal preview watermark
+// ===========================================
+function drawWatermark(page, font) {
+  const angle = 30;
+  const radians = (angle * Math.PI) / 180;
+  const color = rgb(0.55, 0.55, 0.55);
+
+  // Draw text rotated about its own center at (cx, cy)
+  const drawRotated = (text, cx, cy, size, opacity) => {
+    const width = font.widthOfTextAtSize(text, size);
+    page.drawText(text, {
+      x: cx - (width / 2) * Math.cos(radians) + (size / 3) * Math.sin(radians),
+      y: cy - (width / 2) * Math.sin(radians) - (size / 3) * Math.cos(radians),
+      size,
+      font,
+      color,
+      opacity,
+      rotate: degrees(angle),
+    });
+  };
+
+  // Three bands across the page: big PREVIEW with the university underneath
+  for (const [cx, cy] of [[PAGE_WIDTH * 0.2, PAGE_HEIGHT * 0.2], [PAGE_WIDTH / 2, PAGE_HEIGHT / 2], [PAGE_WIDTH * 0.8, PAGE_HEIGHT * 0.8]]) {
+    drawRotated('PREVIEW', cx, cy, 96, 0.22);
+    drawRotated('University of Phuckery', cx + 45 * Math.sin(radians), cy - 45 * Math.cos(radians), 22, 0.3);
+  }
+}
+
+// ===========================================
+// HELPER: Parse #rrggbb colors from manifests
+// ===========================================
+// Print files use CMYK, so pure black text prints on the K plate alone
+function hexColor(hex, colorSpace = 'rgb') {
+  const value = parseInt(hex.slice(1), 16);
+  const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+  if (colorSpace !== 'cmyk') {
+    return rgb(r, g, b);
+  }
+  const k = 1 - Math.max(r, g, b);
+  if (k === 1) {
+    return cmyk(0, 0, 0, 1);
+  }
+  return cmyk((1 - r - k) / (1 - k), (1 - g - k) / (1 - k), (1 - b - k) / (1 - k), k);
+}
+
+// ===========================================
+// HELPER: Fit every slot
+// ===========================================
+// Returns the fitted blocks plus the names of slots whose text didn't fit
+function layoutText(fields, template, colorSpace) {
+  const text = buildSlotText(template, fields);
+  const blocks = [];
+  const overflow = [];
+
+  for (const slotName of SLOTS) {
+    // Slots a template doesn't use (kids has no dateLine) or empty are skipped
+    if (!text[slotName]) continue;
+
+    const slot = { ...SLOT_DEFAULTS[slotName], ...template.slots[slotName] };
+    const font = createFontChain(slot.font, slot.fallbacks);
+    const fitted = fitText(text[slotName], font, slot);
+    const color = hexColor(slot.color || template.textColor, colorSpace);
+
+    blocks.push({ slot, font, fitted, color });
+    if (!fitted.fits) overflow.push(slotName);
+  }
+
+  return { blocks, overflow };
+}
+
+// ===========================================
+// HELPER: Draw a fitted block centered on its slot
+// ===========================================
+// Each line is drawn run by run, switching to fallback fonts as needed.
+// offset moves the whole layout, for pages with bleed around the trim.
+function drawTextBlock(page, { slot, font, fitted, color }, embedded, offset = 0) {
+  const baselines = blockBaselines(fitted, slot.y + offset);
+  fitted.lines.forEach((line, i) => {
+    let x = offset + (PAGE_WIDTH - font.widthOfTextAtSize(line, fitted.fontSize)) / 2;
+    for (const run of font.runs(line)) {
+      page.drawText(run.text, { x, y: baselines[i], size: fitted.fontSize, font: embedded[run.key], color });
+      x += font.widthOfTextAtSize(run.text, fitted.fontSize);
+    }
+  });
+}
+
+// ===========================================
+// HELPER: Verification QR code and serial number
+// ===========================================
+// The code is one vector path, sharp at any print size, on a white panel so
+// it scans over busy artwork. box is the manifest's qr { x, y, size }.
+function drawVerificationMark(page, box, serial, font, color, colorSpace, offset = 0) {
+  const { modules } = QRCode.create(verificationUrl(serial), { errorCorrectionLevel: 'M' });
+  const moduleSize = box.size / (modules.size + QR_QUIET_ZONE * 2);
+  const x = box.x + offset;
+  const y = box.y + offset;
+
+  page.drawRectangle({
+    x,
+    y: y - SERIAL_LABEL_HEIGHT,
+    width: box.size,
+    height: box.size + SERIAL_LABEL_HEIGHT,
+    color: hexColor('#ffffff', colorSpace),
+  });
+
+  let path = '';
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) path += `M${col} ${row}h1v1h-1z`;
+    }
+  }
+  // SVG paths are drawn down from their top-left corner
+  page.drawSvgPath(path, {
+    x: x + QR_QUIET_ZONE * moduleSize,
+    y: y + box.size - QR_QUIET_ZONE * moduleSize,
+    scale: moduleSize,
+    color,
+  });
+
+  const label = `No. ${serial}`;
+  const width = font.widthOfTextAtSize(label, SERIAL_FONT_SIZE);
+  page.drawText(label, {
+    x: x + (box.size - width) / 2,
+    y: y - SERIAL_LABEL_HEIGHT + 2,
+    size: SERIAL_FONT_SIZE,
+    font,
+    color,
+  });
+}
+
+// ===========================================
+// HELPER: Background drawing, per document
+// ===========================================
+// Each background is embedded once per document and drawn on every page
+// that uses it. Returns a function that draws it over a box on a page.
+function createBackgrounds(pdfDoc, { preview, background }) {
+  const embedded = new Map();
+  return (template) => {
+    const key = background ? 'supplied' : template.background;
+    if (!embedded.has(key)) {
+      embedded.set(key, background
+        ? pdfDoc.embedJpg(background).then(image => (page, box) => page.drawImage(image, box))
+        : getBackgroundPage(template.background, preview)
+          .then(bytes => pdfDoc.embedPdf(bytes, [0]))
+          .then(([bgPage]) => (page, box) => page.drawPage(bgPage, box)));
+    }
+    return embedded.get(key);
+  };
+}
+
+/**
+ * Render certificates as the pages of one PDF.
+ *
+ * Pages share the document's fonts (each subset to the text on every page)
+ * and one copy of each background, so a page costs a fraction of a
+ * separate render.
+ *
+ * @param {{ fields: object, artwork?: Uint8Array, overflow?: string[] }[]} pages
+ *   fields as for renderCertificate(); artwork is a one-page PDF with the
+ *   text already set (a Canva export), drawn instead of the background and
+ *   slots, with the overflow its renderer found
+ * @param {object} options  as for renderCertificate(), for every page
+ * @returns {Promise<{ pdfBytes: Uint8Array, overflow: string[][] }>} the
+ *   overflowing slots of each page
+ */
+async function renderCertificates(pages, { preview = false, bleed = 0, background = null, colorSpace = 'rgb' } = {}) {
+  const layouts = pages.map(({ fields, artwork = null, overflow = [] }) => {
+    const template = getTemplate(fields.style);
+    if (!template) {
+      throw new Error(`Invalid style: ${fields.style}`);
+    }
+    // Lay out text with the style's template (artwork comes with its own)
+    const layout = artwork ? { blocks: [], overflow } : layoutText(fields, template, colorSpace);
+    return { fields, artwork, template, ...layout };
+  });
+
+  const pdfDoc = await PDFDocument.create();
+  const fullPage = { x: 0, y: 0, width: PAGE_WIDTH + bleed * 2, height: PAGE_HEIGHT + bleed * 2 };
+  const backgroundFor = createBackgrounds(pdfDoc, { preview, background });
+
+  // Embed only the fonts (and glyphs) that will actually be drawn, once for
+  // every page
+  const runs = layouts.flatMap(({ blocks }) =>
+    blocks.flatMap(({ font, fitted }) => fitted.lines.flatMap(line => font.runs(line))));
+  if (preview) {
+    runs.push({ key: WATERMARK_FONT, text: 'PREVIEW University of Phuckery' });
+  }
+  for (const { fields } of layouts) {
+    if (fields.serial) {
+      runs.push({ key: SERIAL_FONT, text: `No. ${fields.serial}` });
+    }
+  }
+  const embedded = await embedFonts(pdfDoc, runs);
+
+  for (const { fields, artwork, template, blocks } of layouts) {
+    const page = pdfDoc.addPage([fullPage.width, fullPage.height]);
+
+    // Background image (downsampled for previews), or the artwork stretched
+    // to the same box
+    if (artwork) {
+      const [artworkPage] = await pdfDoc.embedPdf(artwork, [0]);
+      page.drawPage(artworkPage, fullPage);
+    } else {
+      (await backgroundFor(template))(page, fullPage);
+    }
+
+    blocks.forEach(block => drawTextBlock(page, block, embedded, bleed));
+
+    if (fields.serial) {
+      const color = hexColor(template.textColor, colorSpace);
+      drawVerificationMark(page, template.qr, fields.serial, embedded[SERIAL_FONT], color, colorSpace, bleed);
+    }
+
+    // Watermark previews on top of everything else
+    if (preview) {
+      drawWatermark(page, embedded[WATERMARK_FONT]);
+    }
+  }
+
+  return { pdfBytes: await pdfDoc.save(), overflow: layouts.map(layout => layout.overflow) };
+}
+
+/**
+ * Render a certificate to PDF.
+ *
+ * @param {object} fields  firstName, lastName, certificationDate, degreeLevel,
+ *                         faculty, achievement, style (template id), and
+ *                         serial to add the verification QR code
+ * @param {object} options
+ * @param {boolean} [options.preview]  add the watermark and use a downsampled
+ *                         background
+ * @param {number} [options.bleed]  points added on every side of the page;
+ *                         the background is stretched to fill them and the
+ *                         text stays put relative to the trim
+ * @param {Uint8Array} [options.background]  JPEG to use instead of the style's
+ *                         background (print files supply a prepared one)
+ * @param {Uint8Array} [options.artwork]  a one-page PDF with the text already
+ *                         set (a Canva export), drawn instead of the
+ *                         background and slots
+ * @param {'rgb'|'cmyk'} [options.colorSpace]  for text colors
+ * @returns {Promise<{ pdfBytes: Uint8Array, overflow: string[] }>}
+ */
+async function renderCertificate(fields, { artwork = null, ...options } = {}) {
+  const { pdfBytes, overflow } = await renderCertificates([{ fields, artwork }], options);
+  return { pdfBytes, overflow: overflow[0] };
+}
+
+/**
+ * Check whether certificate text fits its slots without rendering.
+ * Returns the names of slots that overflow (empty when everything fits).
+ */
+async function checkCertificateFit(fields) {
+  const template = getTemplate(fields.style);
+  if (!template) {
+    throw new Error(`Invalid style: ${fields.style}`);
+  }
+  return layoutText(fields, template).overflow;
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  findBackground,
+  renderCertificate,
+  renderCertificates,
+  checkCertificateFit,
+};
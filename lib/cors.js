@@ -0,0 +1,92 @@
+const { publicUrl } = require('./public-url');
+
+/**
+ * Cross-origin requests
+ *
+ * Browsers only let another site call the API when it answers with that
+ * site's origin. Allowed origins come from CORS_ALLOWED_ORIGINS, a
+ * comma-separated list:
+ *
+ *   CORS_ALLOWED_ORIGINS=https://phuckery.com,https://www.phuckery.com
+ *
+ * It defaults to the site's own origin (see ./public-url); '*' allows any.
+ * A request from the host it was sent to is always allowed, so preview
+ * deployments and `vercel dev` work without listing them. Requests without
+ * an Origin (cron, webhooks, scripts, links in emails) aren't cross-origin
+ * and are left to authentication and the rate limits (see ./request-limits).
+ */
+
+let allowedOrigins;
+
+// e.g. https://example.com, without a path
+function parseOrigin(entry) {
+  if (entry === '*') {
+    return entry;
+  }
+  let url = null;
+  try {
+    url = new URL(entry);
+  } catch (err) {
+    // Reported below
+  }
+  if (!url || url.origin !== entry.replace(/\/+$/, '')) {
+    throw new Error(`Invalid CORS_ALLOWED_ORIGINS entry: ${entry} (use e.g. https://example.com)`);
+  }
+  return url.origin;
+}
+
+function loadAllowedOrigins() {
+  if (!allowedOrigins) {
+    const raw = process.env.CORS_ALLOWED_ORIGINS || new URL(publicUrl('/')).origin;
+    allowedOrigins = raw.split(',').map(entry => entry.trim()).filter(Boolean).map(parseOrigin);
+  }
+  return allowedOrigins;
+}
+
+function isSameHost(req, origin) {
+  const host = req.headers['x-forwarded-host'] || req.headers['host'];
+  try {
+    return Boolean(host) && new URL(origin).host === String(host).split(',')[0].trim();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Whether a request may come from where it says it does.
+ */
+function isAllowedOrigin(req) {
+  const origin = req.headers['origin'];
+  if (!origin) {
+    return true;
+  }
+  const allowed = loadAllowedOrigins();
+  return allowed.includes('*') || allowed.includes(origin) || isSameHost(req, origin);
+}
+
+/**
+ * Set the CORS headers for a request. False once a request from an origin
+ * that isn't allowed has been answered with 403:
+ *
+ *   if (!applyCors(req, res, 'POST, OPTIONS', 'Content-Type')) return;
+ *
+ * @param {string} methods  for Access-Control-Allow-Methods
+ * @param {string} headers  for Access-Control-Allow-Headers
+ */
+function applyCors(req, res, methods, headers) {
+  // Answers differ by origin, so caches mustn't share them across origins
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', headers);
+
+  if (!isAllowedOrigin(req)) {
+    res.status(403).json({ error: 'Origin not allowed' });
+    return false;
+  }
+  if (req.headers['origin']) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers['origin']);
+  }
+  return true;
+}
+
+module.exports = { isAllowedOrigin, applyCors };
@@ -0,0 +1,205 @@
+const { getOrder, updateOrder, transitionOrder, ensureSerial, isPaid, isHeld, isActive } = require('./orders');
+const { renderCertificate } = require('./render');
+const { sendEmail } = require('./mailer');
+const { formatSchedule } = require('./scheduled-delivery');
+const { getGroupMembers, listUndeliveredMembers, bundleUrls } = require('./group-orders');
+const { dispatchGroupBundle } = require('./dispatch');
+
+/**
+ * Email delivery
+ *
+ * Renders the clean certificate for a paid order and emails it:
+ *
+ *   gift (recipientEmail set)  'recipient' to the recipient, with the PDF,
+ *                              then 'buyer-gift' to the buyer
+ *   self-purchase              'self-purchase' to the buyer, with the PDF
+ *   group member               'recipient' to the recipient, if they have
+ *                              an email address (see ./group-orders)
+ *   group order                'group-buyer' to the buyer, with links to
+ *                              the bundle, once every member is delivered
+ *
+ * Progress is kept on the order as it goes:
+ *
+ *   order.delivery  { emails: [{ template, version, to, transport,
+ *                     messageId, sentAt }], lastError }
+ *
+ * and the order moves paid -> generated -> emailed. Deliveries run as
+ * outbox jobs, so a failure is retried; emails already sent are skipped on
+ * the retry. Disputed and refunded orders aren't delivered.
+ */
+
+const ATTACHMENT_FILENAME = 'phuckery-certificate.pdf';
+
+// Resends from the order portal, per order; enough for a lost email or a
+// corrected name, not enough to use us as a mail cannon
+const MAX_RESENDS = 3;
+
+// ===========================================
+// HELPER: Which emails an order gets
+// ===========================================
+function planEmails(order) {
+  if (order.group) {
+    return [{ template: 'group-buyer', to: order.buyerEmail, attachCertificate: false }];
+  }
+  const recipientEmail = (order.recipientEmail || '').trim();
+  // The buyer hears about the whole group at once
+  if (order.groupOrderNumber) {
+    return recipientEmail ? [{ template: 'recipient', to: recipientEmail, attachCertificate: true }] : [];
+  }
+  if (recipientEmail && recipientEmail.toLowerCase() !== order.buyerEmail.toLowerCase()) {
+    return [
+      { template: 'recipient', to: recipientEmail, attachCertificate: true },
+      { template: 'buyer-gift', to: order.buyerEmail, attachCertificate: false },
+    ];
+  }
+  return [{ template: 'self-purchase', to: order.buyerEmail, attachCertificate: true }];
+}
+
+async function renderAttachments(order) {
+  const { pdfBytes } = await renderCertificate({ ...order.certificate, serial: order.serial }, { preview: false });
+  return [{ filename: ATTACHMENT_FILENAME, content: Buffer.from(pdfBytes), contentType: 'application/pdf' }];
+}
+
+async function emailData(order) {
+  const data = {
+    ...order.certificate,
+    orderNumber: order.orderNumber,
+    buyerEmail: order.buyerEmail,
+    recipientEmail: order.recipientEmail,
+    scheduledFor: order.scheduledDelivery ? formatSchedule(order.scheduledDelivery) : null,
+  };
+  if (order.group) {
+    data.bundleUrls = bundleUrls(order);
+    data.members = (await getGroupMembers(order)).map(member => ({
+      orderNumber: member.orderNumber,
+      name: `${member.certificate.firstName} ${member.certificate.lastName}`,
+      recipientEmail: member.recipientEmail,
+    }));
+  }
+  return data;
+}
+
+/**
+ * Send any of an order's delivery emails that haven't gone out yet.
+ *
+ * @param {string} orderNumber
+ * @returns {Promise<object>} the updated order
+ */
+async function deliverOrder(orderNumber) {
+  let order = await getOrder(orderNumber);
+  if (!order) {
+    throw new Error(`Order not found: ${orderNumber}`);
+  }
+  if (order.status === 'emailed') {
+    return order;
+  }
+  if (!isPaid(order)) {
+    throw new Error(`Order ${orderNumber} hasn't been paid`);
+  }
+  if (!isActive(order)) {
+    console.log(`Not delivering ${orderNumber}: order is ${isHeld(order) ? 'held for review' : order.status}`);
+    return order;
+  }
+
+  if (order.group) {
+    const waiting = await listUndeliveredMembers(order);
+    if (waiting.length > 0) {
+      throw new Error(`Group order ${orderNumber} is waiting on ${waiting.length} of its ${order.group.size} certificates`);
+    }
+  }
+
+  const sent = (order.delivery && order.delivery.emails) || [];
+  const pending = planEmails(order).filter(email => !sent.some(s => s.template === email.template));
+
+  let attachments = [];
+  if (pending.some(email => email.attachCertificate)) {
+    order = await ensureSerial(order);
+    attachments = await renderAttachments(order);
+    if (order.status === 'paid' || order.status === 'failed') {
+      order = await transitionOrder(orderNumber, 'generated');
+    }
+  } else if ((order.group || order.groupOrderNumber) && (order.status === 'paid' || order.status === 'failed')) {
+    // Certificates only in the buyer's bundle are rendered when it's downloaded
+    order = await ensureSerial(order);
+    order = await transitionOrder(orderNumber, 'generated');
+  }
+
+  const data = await emailData(order);
+  for (const email of pending) {
+    const record = await sendEmail(email.to, email.template, data, {
+      attachments: email.attachCertificate ? attachments : [],
+    });
+    // Saved after every email so a retry doesn't send it twice
+    sent.push(record);
+    order = await updateOrder(orderNumber, { delivery: { emails: sent, lastError: null } });
+  }
+
+  return transitionOrder(orderNumber, 'emailed');
+}
+
+/**
+ * Send a delivered order's certificate again, freshly rendered from the
+ * order (so it picks up any name correction), to whoever received it.
+ *
+ * @param {string} orderNumber
+ * @param {{ force?: boolean }} [options]  force skips the MAX_RESENDS limit,
+ *                                         for operators
+ * @returns {Promise<object>} the updated order
+ */
+async function resendCertificate(orderNumber, { force = false } = {}) {
+  let order = await getOrder(orderNumber);
+  if (!order) {
+    throw new Error(`Order not found: ${orderNumber}`);
+  }
+  if (order.status !== 'emailed') {
+    throw new Error(`Order ${orderNumber} hasn't been delivered yet`);
+  }
+
+  const sent = (order.delivery && order.delivery.emails) || [];
+  if (!force && sent.filter(email => email.resend).length >= MAX_RESENDS) {
+    throw new Error(`Order ${orderNumber} has already been resent ${MAX_RESENDS} times`);
+  }
+
+  // The certificate, or for a group order the bundle email
+  const plan = planEmails(order);
+  const email = plan.find(e => e.attachCertificate) || plan[0];
+  if (!email) {
+    throw new Error(`Order ${orderNumber} has no email address to resend to`);
+  }
+  order = await ensureSerial(order);
+  const record = await sendEmail(email.to, email.template, await emailData(order), {
+    attachments: email.attachCertificate ? await renderAttachments(order) : [],
+  });
+  return updateOrder(orderNumber, {
+    delivery: { ...order.delivery, emails: [...sent, { ...record, resend: true }] },
+  });
+}
+
+/**
+ * Outbox handler for 'email-order' jobs.
+ */
+const deliveryHandler = {
+  async run({ orderNumber }) {
+    try {
+      const order = await deliverOrder(orderNumber);
+      if (order.groupOrderNumber && order.status === 'emailed') {
+        await dispatchGroupBundle(order.groupOrderNumber);
+      }
+    } catch (err) {
+      const order = await getOrder(orderNumber);
+      if (order) {
+        await updateOrder(orderNumber, { delivery: { ...order.delivery, lastError: err.message } });
+      }
+      throw err;
+    }
+  },
+
+  async onDeadLetter(job) {
+    const order = await getOrder(job.payload.orderNumber);
+    if (isActive(order) && order.status !== 'emailed') {
+      await transitionOrder(order.orderNumber, 'failed', { error: job.lastError });
+    }
+  },
+};
+
+module.exports = { MAX_RESENDS, deliverOrder, resendCertificate, deliveryHandler };
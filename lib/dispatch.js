@@ -0,0 +1,167 @@
+const { enqueue, runJob } = require('./outbox');
+const { requiresShipping } = require('./catalog');
+const { getOrder, updateOrder, transitionOrder, isHeld } = require('./orders');
+const { listUndeliveredMembers } = require('./group-orders');
+const {
+  isScheduledForLater,
+  scheduleDelivery,
+  listScheduledDeliveries,
+  unscheduleDelivery,
+} = require('./scheduled-delivery');
+
+/**
+ * Paid order dispatch
+ *
+ * Everything that happens once an order is paid, whether through Stripe
+ * (api/webhook.js) or a 100%-off promo code (api/create-payment-intent.js):
+ * the order is queued for email delivery of the certificate (./delivery)
+ * and, for printed tiers, for print fulfillment.
+ *
+ * Delivery is attempted right away; if sending fails the outbox retries it
+ * from the cron job. Gifts scheduled for a later date are held instead (see
+ * ./scheduled-delivery) and dispatched by dispatchDueDeliveries(). Print
+ * jobs are left to the cron job: building the print file takes longer than
+ * Stripe waits for a response.
+ *
+ * Jobs for an order that's disputed by then do nothing (see ./refunds). If
+ * the dispute is won, resumePaidOrder() queues them again.
+ *
+ * A group order (see ./group-orders) pays for its members, which are then
+ * dispatched like orders of their own, and its buyer is sent the bundle
+ * once the last of them is delivered.
+ *
+ * Orders held for review (see ./moderation) aren't dispatched; approving
+ * one dispatches it then.
+ */
+
+// One dispatch per payment, however many events mention it, and one more
+// each time it's resumed or retried
+function dispatchKey(order, attempt = null) {
+  return `${order.paymentIntentId || order.orderNumber}${attempt ? `:${attempt}` : ''}`;
+}
+
+async function dispatchPaidOrder(order, { resumed = false } = {}) {
+  const attempt = resumed ? 'resumed' : null;
+  if (isHeld(order)) {
+    console.log(`${order.orderNumber} is held for review; it's dispatched once approved`);
+    return;
+  }
+
+  if (order.group) {
+    await dispatchGroupOrder(order, attempt);
+    return;
+  }
+
+  if (requiresShipping(order.tier)) {
+    await enqueue('print-order', { orderNumber: order.orderNumber }, { id: `print-order:${dispatchKey(order, attempt)}` });
+  }
+
+  if (isScheduledForLater(order)) {
+    await scheduleDelivery(order);
+    console.log(`Delivery of ${order.orderNumber} scheduled for ${order.scheduledDelivery.at}`);
+    return;
+  }
+
+  await dispatchDelivery(order, attempt);
+}
+
+// Members are only queued: rendering a whole group takes longer than Stripe
+// waits, so the cron job delivers them. Whatever a member already had done
+// isn't queued again.
+async function dispatchGroupOrder(order, attempt) {
+  let queued = 0;
+  for (const memberNumber of order.group.members) {
+    let member = await getOrder(memberNumber);
+    if (!member) {
+      // Skipped rather than holding up the rest of the group
+      console.error(`Group order ${order.orderNumber}: member ${memberNumber} not found`);
+      continue;
+    }
+    if (member.status === 'created') {
+      if (order.shipping) {
+        await updateOrder(memberNumber, { shipping: order.shipping });
+      }
+      member = await transitionOrder(memberNumber, 'paid', { groupOrderNumber: order.orderNumber });
+    }
+
+    if (requiresShipping(member.tier) && !member.shipment) {
+      await enqueue('print-order', { orderNumber: memberNumber }, { id: `print-order:${dispatchKey(member, attempt)}` });
+    }
+    if (member.status !== 'emailed') {
+      await enqueue('email-order', { orderNumber: memberNumber }, { id: `email-order:${dispatchKey(member, attempt)}` });
+    }
+    queued += 1;
+  }
+  console.log(`Group order ${order.orderNumber}: ${queued} of ${order.group.members.length} members queued`);
+}
+
+/**
+ * Send the buyer of a group order their bundle, once every member has been
+ * delivered. Called after each member's delivery.
+ */
+async function dispatchGroupBundle(groupOrderNumber) {
+  const order = await getOrder(groupOrderNumber);
+  if (!order || (await listUndeliveredMembers(order)).length > 0) {
+    return;
+  }
+  await dispatchDelivery(order);
+}
+
+/**
+ * Dispatch an order again after a won dispute. Whatever already happened
+ * (emails sent, a shipment submitted) isn't repeated.
+ */
+async function resumePaidOrder(order) {
+  await dispatchPaidOrder(order, { resumed: true });
+}
+
+/**
+ * Queue a group order's members again when an operator retries it (see
+ * api/admin.js): whichever still need emailing or printing. The buyer's
+ * bundle follows once the last of them is delivered.
+ */
+async function retryGroupOrder(order) {
+  await dispatchGroupOrder(order, `retry-${Date.now()}`);
+}
+
+async function dispatchDelivery(order, attempt = null) {
+  const jobId = `email-order:${dispatchKey(order, attempt)}`;
+  if (!await enqueue('email-order', { orderNumber: order.orderNumber }, { id: jobId })) {
+    console.log(`Dispatch ${jobId} already queued`);
+    return;
+  }
+
+  try {
+    const outcome = await runJob(jobId);
+    console.log(`Dispatch ${jobId}: ${outcome}`);
+  } catch (err) {
+    // Still pending in the outbox; the cron run will pick it up
+    console.error(`Dispatch ${jobId} deferred:`, err.message);
+  }
+}
+
+/**
+ * Hand every scheduled delivery whose time has come to email delivery.
+ *
+ * @param {{ limit?: number }} options  cap per call to stay inside the
+ *                                      function timeout
+ * @returns {Promise<string[]>} the order numbers dispatched
+ */
+async function dispatchDueDeliveries({ limit = 25 } = {}) {
+  const now = new Date().toISOString();
+  const due = (await listScheduledDeliveries()).filter(entry => entry.at <= now).slice(0, limit);
+
+  const dispatched = [];
+  for (const { orderNumber } of due) {
+    const order = await getOrder(orderNumber);
+    if (order) {
+      await dispatchDelivery(order);
+      dispatched.push(orderNumber);
+    }
+    // Once queued, the outbox owns retries
+    await unscheduleDelivery(orderNumber);
+  }
+  return dispatched;
+}
+
+module.exports = { dispatchPaidOrder, resumePaidOrder, retryGroupOrder, dispatchGroupBundle, dispatchDueDeliveries };
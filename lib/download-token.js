@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+/**
+ * Download tokens
+ *
+ * A download token proves that a clean (unwatermarked) certificate render
+ * was requested on behalf of a paid order. It is an HMAC of the Stripe
+ * PaymentIntent id, minted once payment has succeeded. Orders that needed
+ * no payment (100%-off promo codes) have no PaymentIntent, so their tokens
+ * sign the order number instead.
+ *
+ * Format: <paymentIntentId or orderNumber>.<base64url hmac>
+ */
+
+function getSecret() {
+  const secret = process.env.CERTIFICATE_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('CERTIFICATE_SIGNING_SECRET not configured');
+  }
+  return secret;
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function signDownloadToken(id) {
+  return `${id}.${hmac(id)}`;
+}
+
+/**
+ * Returns the PaymentIntent id (or order number) the token was issued for,
+ * or null if the token is malformed or the signature doesn't match.
+ */
+function verifyDownloadToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const separator = token.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const id = token.slice(0, separator);
+  const expected = Buffer.from(hmac(id));
+  const actual = Buffer.from(token.slice(separator + 1));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return id;
+}
+
+module.exports = { signDownloadToken, verifyDownloadToken };
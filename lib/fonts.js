@@ -0,0 +1,124 @@
+const fontkit = require('@pdf-lib/fontkit');
+const subsetFont = require('subset-font');
+const fs = require('fs');
+
+/**
+ * Bundled fonts
+ *
+ * Certificates are set in the Noto families, shipped as TTFs in the
+ * @expo-google-fonts packages. Text is split into runs by a fallback chain
+ * so characters the style's font lacks (Ł, 李, 🎉 ...) come from a font that
+ * has them, and each font is subset to the characters actually used before
+ * it's embedded to keep the PDF small.
+ */
+
+const FONT_FILES = {
+  NotoSerif:           '@expo-google-fonts/noto-serif/400Regular/NotoSerif_400Regular.ttf',
+  NotoSerifBold:       '@expo-google-fonts/noto-serif/700Bold/NotoSerif_700Bold.ttf',
+  NotoSerifItalic:     '@expo-google-fonts/noto-serif/400Regular_Italic/NotoSerif_400Regular_Italic.ttf',
+  NotoSerifBoldItalic: '@expo-google-fonts/noto-serif/700Bold_Italic/NotoSerif_700Bold_Italic.ttf',
+  NotoSans:            '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf',
+  NotoSansBold:        '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf',
+  NotoSansItalic:      '@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf',
+  NotoSansMono:        '@expo-google-fonts/noto-sans-mono/400Regular/NotoSansMono_400Regular.ttf',
+  NotoSansMonoBold:    '@expo-google-fonts/noto-sans-mono/700Bold/NotoSansMono_700Bold.ttf',
+  NotoSansSC:          '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf',
+  NotoSansSCBold:      '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf',
+  NotoEmoji:           '@expo-google-fonts/noto-emoji/400Regular/NotoEmoji_400Regular.ttf',
+};
+
+// Tried in order after a slot's own font, matched on weight
+const FALLBACK_CHAINS = {
+  regular: ['NotoSans', 'NotoSansSC', 'NotoEmoji'],
+  bold:    ['NotoSansBold', 'NotoSansSCBold', 'NotoEmoji'],
+};
+
+// Joiners and variation selectors have no glyph of their own; dropping them
+// leaves emoji sequences as their component pictographs
+const IGNORABLE = /[\u200D\uFE00-\uFE0F]/g;
+
+// Parsed fonts, cached between warm invocations. The CJK fonts are ~10MB
+// each, so fonts are only read the first time a character needs them.
+const faces = new Map();
+
+function getFace(key) {
+  if (!FONT_FILES[key]) {
+    throw new Error(`Unknown font: ${key}`);
+  }
+  if (!faces.has(key)) {
+    const bytes = fs.readFileSync(require.resolve(FONT_FILES[key]));
+    faces.set(key, { bytes, face: fontkit.create(bytes) });
+  }
+  return faces.get(key);
+}
+
+// Width in font units, using the same glyph advances pdf-lib writes
+function advanceWidth(key, text) {
+  const { face } = getFace(key);
+  const { glyphs } = face.layout(text);
+  const units = glyphs.reduce((total, glyph) => total + glyph.advanceWidth, 0);
+  return units / face.unitsPerEm;
+}
+
+/**
+ * Create a font chain for a slot font.
+ *
+ * The chain measures and splits text across the primary font and its
+ * fallbacks; it has the same widthOfTextAtSize() as a pdf-lib font so the
+ * text layout code can use either.
+ */
+function createFontChain(primary, fallbacks = FALLBACK_CHAINS[/Bold/.test(primary) ? 'bold' : 'regular']) {
+  const chain = [primary, ...fallbacks.filter(key => key !== primary)];
+  getFace(primary);
+
+  // First font in the chain with a glyph for the code point, or the primary
+  // font (which draws .notdef) when nothing has it
+  const fontFor = (char) => {
+    const codePoint = char.codePointAt(0);
+    return chain.find(key => getFace(key).face.hasGlyphForCodePoint(codePoint)) || primary;
+  };
+
+  const runs = (text) => {
+    const result = [];
+    for (const char of String(text).replace(IGNORABLE, '')) {
+      const key = fontFor(char);
+      const last = result[result.length - 1];
+      if (last && last.key === key) {
+        last.text += char;
+      } else {
+        result.push({ key, text: char });
+      }
+    }
+    return result;
+  };
+
+  const widthOfTextAtSize = (text, size) =>
+    runs(text).reduce((total, run) => total + advanceWidth(run.key, run.text) * size, 0);
+
+  return { primary, runs, widthOfTextAtSize };
+}
+
+/**
+ * Subset and embed the fonts a document uses.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {Array<{ key: string, text: string }>} runs  every run that will be drawn
+ * @returns {Promise<Object<string, PDFFont>>} embedded fonts by key
+ */
+async function embedFonts(pdfDoc, runs) {
+  pdfDoc.registerFontkit(fontkit);
+
+  const usage = new Map();
+  for (const { key, text } of runs) {
+    usage.set(key, (usage.get(key) || '') + text);
+  }
+
+  const embedded = {};
+  for (const [key, text] of usage) {
+    const subset = await subsetFont(getFace(key).bytes, text, { targetFormat: 'truetype' });
+    embedded[key] = await pdfDoc.embedFont(subset);
+  }
+  return embedded;
+}
+
+module.exports = { FONT_FILES, createFontChain, embedFonts };
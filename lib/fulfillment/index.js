@@ -0,0 +1,212 @@
+const { getOrder, updateOrder, listOrders, ensureSerial, isHeld, isActive } = require('../orders');
+const { getPrice, requiresShipping } = require('../catalog');
+const { buildPrintFile } = require('./print-file');
+
+/**
+ * Print fulfillment
+ *
+ * Printed and framed orders get a print-ready file (see ./print-file) that
+ * is submitted to the print provider named by PRINT_PROVIDER. Shipment
+ * progress is then tracked on the order:
+ *
+ *   order.shipping  the address collected at checkout (Stripe's shape)
+ *   order.shipment  { provider, providerOrderId, status, carrier,
+ *                     trackingNumber, trackingUrl, history }
+ *
+ * A provider adapter implements:
+ *
+ *   submit({ orderNumber, tier, printFile, shipping })
+ *     -> { providerOrderId, status }
+ *   getStatus(providerOrderId)
+ *     -> { status, carrier, trackingNumber, trackingUrl }
+ *
+ * with status one of SHIPMENT_STATUSES.
+ *
+ * `mock` (the default locally) prints nothing, so it's refused on Vercel:
+ * a deployment must name a real provider. Until it does, printed tiers
+ * aren't offered or sold (see isPrintingAvailable).
+ */
+
+const PROVIDERS = {
+  mock: () => require('./providers/mock'),
+};
+
+const LOCAL_PROVIDERS = ['mock'];
+
+const SHIPMENT_STATUSES = ['submitted', 'printing', 'shipped', 'delivered', 'cancelled'];
+const FINAL_SHIPMENT_STATUSES = ['delivered', 'cancelled'];
+
+function loadProvider(name) {
+  if (process.env.VERCEL && LOCAL_PROVIDERS.includes(name)) {
+    throw new Error(`Print provider not configured: PRINT_PROVIDER=${name} only works locally`);
+  }
+  return PROVIDERS[name]();
+}
+
+function getProvider() {
+  const name = process.env.PRINT_PROVIDER || (process.env.VERCEL ? null : 'mock');
+  if (!name) {
+    throw new Error('Print provider not configured: set PRINT_PROVIDER');
+  }
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown PRINT_PROVIDER: ${name}`);
+  }
+  return { name, adapter: loadProvider(name) };
+}
+
+/**
+ * Whether a print provider works here, so printed tiers can be sold.
+ */
+function isPrintingAvailable() {
+  try {
+    getProvider();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Build the print file for a paid physical order and submit it.
+ * Orders that already have a shipment, or are disputed or refunded, are
+ * returned unchanged.
+ */
+async function submitPrintOrder(orderNumber) {
+  const order = await getOrder(orderNumber);
+  if (!order) {
+    throw new Error(`Order not found: ${orderNumber}`);
+  }
+  if (order.shipment) {
+    return order;
+  }
+  if (!isActive(order)) {
+    console.log(`Not printing ${orderNumber}: order is ${isHeld(order) ? 'held for review' : order.status}`);
+    return order;
+  }
+  if (!requiresShipping(order.tier)) {
+    throw new Error(`Order ${orderNumber} is ${order.tier}, which isn't printed and shipped`);
+  }
+  if (order.group) {
+    throw new Error(`Group order ${orderNumber} is printed as its members' orders`);
+  }
+  if (!order.shipping || !order.shipping.address) {
+    throw new Error(`Order ${orderNumber} has no shipping address`);
+  }
+
+  const { serial } = await ensureSerial(order);
+  const price = getPrice(order.tier, order.currency);
+  const printFile = await buildPrintFile({ ...order.certificate, serial }, {
+    jobLabel: `${orderNumber}  |  ${price ? price.label : order.tier}`,
+  });
+
+  const { name, adapter } = getProvider();
+  const result = await adapter.submit({
+    orderNumber,
+    tier: order.tier,
+    printFile,
+    shipping: order.shipping,
+  });
+
+  const now = new Date().toISOString();
+  return updateOrder(orderNumber, {
+    fulfillmentError: null,
+    shipment: {
+      provider: name,
+      providerOrderId: result.providerOrderId,
+      status: result.status,
+      carrier: null,
+      trackingNumber: null,
+      trackingUrl: null,
+      submittedAt: now,
+      updatedAt: now,
+      history: [{ status: result.status, at: now }],
+    },
+  });
+}
+
+/**
+ * Refresh one order's shipment from its provider.
+ *
+ * @returns {Promise<boolean>} whether anything changed
+ */
+async function syncShipment(order) {
+  const { shipment } = order;
+  if (!shipment || FINAL_SHIPMENT_STATUSES.includes(shipment.status)) {
+    return false;
+  }
+  if (!PROVIDERS[shipment.provider]) {
+    throw new Error(`Unknown print provider on order ${order.orderNumber}: ${shipment.provider}`);
+  }
+
+  const latest = await loadProvider(shipment.provider).getStatus(shipment.providerOrderId);
+  if (!SHIPMENT_STATUSES.includes(latest.status)) {
+    throw new Error(`Print provider returned an unknown status: ${latest.status}`);
+  }
+
+  const changed = latest.status !== shipment.status || latest.trackingNumber !== shipment.trackingNumber;
+  if (!changed) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  await updateOrder(order.orderNumber, {
+    shipment: {
+      ...shipment,
+      status: latest.status,
+      carrier: latest.carrier,
+      trackingNumber: latest.trackingNumber,
+      trackingUrl: latest.trackingUrl,
+      updatedAt: now,
+      history: latest.status === shipment.status
+        ? shipment.history
+        : [...shipment.history, { status: latest.status, at: now }],
+    },
+  });
+  return true;
+}
+
+/**
+ * Refresh every shipment that hasn't reached a final status.
+ *
+ * @returns {Promise<{ checked: number, updated: number, failed: number }>}
+ */
+async function syncShipments() {
+  const results = { checked: 0, updated: 0, failed: 0 };
+  const open = (await listOrders()).filter(order =>
+    order.shipment && !FINAL_SHIPMENT_STATUSES.includes(order.shipment.status));
+
+  for (const order of open) {
+    results.checked++;
+    try {
+      if (await syncShipment(order)) results.updated++;
+    } catch (err) {
+      results.failed++;
+      console.error(`Shipment sync failed for ${order.orderNumber}:`, err.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Outbox handler for 'print-order' jobs.
+ */
+const printOrderHandler = {
+  async run({ orderNumber }) {
+    await submitPrintOrder(orderNumber);
+  },
+
+  // The digital copy may still have gone out, so the order's own status is
+  // left alone; the error is kept for whoever replays the job
+  async onDeadLetter(job) {
+    await updateOrder(job.payload.orderNumber, { fulfillmentError: job.lastError });
+  },
+};
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  isPrintingAvailable,
+  submitPrintOrder,
+  syncShipment,
+  syncShipments,
+  printOrderHandler,
+};
@@ -0,0 +1,153 @@
+const { PDFDocument, cmyk } = require('pdf-lib');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const fs = require('fs');
+const { PAGE_WIDTH, PAGE_HEIGHT, findBackground } = require('../certificate');
+const { renderCertificate } = require('../render');
+const { embedFonts } = require('../fonts');
+const { getTemplate } = require('../templates');
+
+/**
+ * Print-ready certificate files
+ *
+ * The clean certificate from the regular renderer, prepared for a print shop:
+ *
+ *   - 1/8" bleed on every side, with the background stretched to fill it
+ *   - the background resampled to exactly 300dpi with oversaturated RGB
+ *     colors pulled back into a range CMYK presses can reproduce
+ *   - CMYK text (black prints on the K plate only)
+ *   - crop marks and a job line in the slug, TrimBox and BleedBox set
+ */
+
+const PRINT_DPI = 300;
+const BLEED = 9;        // 0.125in
+const SLUG = 27;        // room outside the bleed for marks and the job line
+const MARK_LENGTH = 18;
+const MARK_GAP = 3;     // crop marks stop short of the bleed so they're never printed on the piece
+const SLUG_FONT = 'NotoSans';
+
+// Highest HSV saturation kept as-is. Brighter RGB blues and greens than this
+// fall outside typical coated CMYK gamuts and print muddy or shifted.
+const MAX_SATURATION = 0.88;
+const PRINT_JPEG_QUALITY = 92;
+
+const REGISTRATION = cmyk(1, 1, 1, 1);
+
+// Prepared backgrounds, cached per file between warm invocations, so a run
+// of print files resamples each style once
+const printBackgrounds = new Map();
+
+// ===========================================
+// HELPER: Prepare the background for print
+// ===========================================
+function getPrintBackground(bgFilename) {
+  if (!printBackgrounds.has(bgFilename)) {
+    const background = preparePrintBackground(bgFilename);
+    // Don't cache a failure
+    background.catch(() => printBackgrounds.delete(bgFilename));
+    printBackgrounds.set(bgFilename, background);
+  }
+  return printBackgrounds.get(bgFilename);
+}
+
+async function preparePrintBackground(bgFilename) {
+  const image = await loadImage(fs.readFileSync(findBackground(bgFilename)));
+  const width = Math.round(((PAGE_WIDTH + BLEED * 2) / 72) * PRINT_DPI);
+  const height = Math.round(((PAGE_HEIGHT + BLEED * 2) / 72) * PRINT_DPI);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+
+  // Soft-clip saturation, keeping each pixel's brightness
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const max = Math.max(data[i], data[i + 1], data[i + 2]);
+    if (max === 0) continue;
+    const saturation = (max - Math.min(data[i], data[i + 1], data[i + 2])) / max;
+    if (saturation <= MAX_SATURATION) continue;
+
+    const scale = MAX_SATURATION / saturation;
+    data[i] = max - (max - data[i]) * scale;
+    data[i + 1] = max - (max - data[i + 1]) * scale;
+    data[i + 2] = max - (max - data[i + 2]) * scale;
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvas.encode('jpeg', PRINT_JPEG_QUALITY);
+}
+
+// ===========================================
+// HELPER: Crop marks
+// ===========================================
+// Two short lines at each trim corner, outside the bleed
+function drawCropMarks(page) {
+  const left = SLUG + BLEED;
+  const bottom = SLUG + BLEED;
+  const right = left + PAGE_WIDTH;
+  const top = bottom + PAGE_HEIGHT;
+  const reach = BLEED + MARK_GAP;
+
+  for (const [x, y, dx, dy] of [[left, bottom, -1, -1], [right, bottom, 1, -1], [left, top, -1, 1], [right, top, 1, 1]]) {
+    // Horizontal mark, level with the trim edge
+    page.drawLine({
+      start: { x: x + dx * reach, y },
+      end: { x: x + dx * (reach + MARK_LENGTH), y },
+      thickness: 0.25,
+      color: REGISTRATION,
+    });
+    // Vertical mark
+    page.drawLine({
+      start: { x, y: y + dy * reach },
+      end: { x, y: y + dy * (reach + MARK_LENGTH) },
+      thickness: 0.25,
+      color: REGISTRATION,
+    });
+  }
+}
+
+/**
+ * Build the print file for a certificate.
+ *
+ * @param {object} certificate  certificate fields, as for renderCertificate
+ * @param {{ jobLabel?: string }} options  printed in the slug (order number, tier)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function buildPrintFile(certificate, { jobLabel = '' } = {}) {
+  const template = getTemplate(certificate.style);
+  if (!template) {
+    throw new Error(`Invalid style: ${certificate.style}`);
+  }
+
+  // Canva styles arrive as vector artwork; only background images are resampled
+  const background = template.renderer === 'local' ? await getPrintBackground(template.background) : null;
+  const { pdfBytes } = await renderCertificate(certificate, { bleed: BLEED, background, colorSpace: 'cmyk' });
+
+  // Place the bled page on a sheet with room for marks
+  const pdfDoc = await PDFDocument.create();
+  const [certificatePage] = await pdfDoc.embedPdf(pdfBytes);
+  const page = pdfDoc.addPage([PAGE_WIDTH + (BLEED + SLUG) * 2, PAGE_HEIGHT + (BLEED + SLUG) * 2]);
+  page.drawPage(certificatePage, { x: SLUG, y: SLUG });
+
+  page.setBleedBox(SLUG, SLUG, PAGE_WIDTH + BLEED * 2, PAGE_HEIGHT + BLEED * 2);
+  page.setTrimBox(SLUG + BLEED, SLUG + BLEED, PAGE_WIDTH, PAGE_HEIGHT);
+
+  drawCropMarks(page);
+
+  const label = [jobLabel, `${PAGE_WIDTH / 72} x ${PAGE_HEIGHT / 72} in`, `${PRINT_DPI}dpi`, `${BLEED / 72}in bleed`]
+    .filter(Boolean)
+    .join('  |  ');
+  const embedded = await embedFonts(pdfDoc, [{ key: SLUG_FONT, text: label }]);
+  page.drawText(label, {
+    x: SLUG + BLEED + MARK_LENGTH,
+    y: SLUG / 2 - 3,
+    size: 6,
+    font: embedded[SLUG_FONT],
+    color: REGISTRATION,
+  });
+
+  pdfDoc.setTitle(jobLabel ? `University of Phuckery diploma ${jobLabel}` : 'University of Phuckery diploma');
+  return pdfDoc.save();
+}
+
+module.exports = { PRINT_DPI, BLEED, buildPrintFile };
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStore } = require('../../store');
+
+/**
+ * Mock print provider
+ *
+ * Writes print files to PRINT_JOBS_DIR instead of sending them anywhere,
+ * and walks each job through submitted -> printing -> shipped -> delivered,
+ * one step every MOCK_PRINT_STEP_SECONDS (default 60), so the whole
+ * fulfillment flow can be exercised locally.
+ */
+
+const STEPS = ['submitted', 'printing', 'shipped', 'delivered'];
+
+const PRINT_JOBS_DIR = process.env.PRINT_JOBS_DIR || (process.env.VERCEL
+  ? path.join(os.tmpdir(), 'phuckery-print-jobs')
+  : path.join(process.cwd(), '.data', 'print-jobs'));
+
+const JOB_KEY = (providerOrderId) => `mock-print:${providerOrderId}`;
+
+function stepSeconds() {
+  return Number(process.env.MOCK_PRINT_STEP_SECONDS) || 60;
+}
+
+async function submit({ orderNumber, tier, printFile, shipping }) {
+  const providerOrderId = `MOCK-${orderNumber}`;
+
+  fs.mkdirSync(PRINT_JOBS_DIR, { recursive: true });
+  const file = path.join(PRINT_JOBS_DIR, `${orderNumber}.pdf`);
+  fs.writeFileSync(file, printFile);
+  console.log(`[mock print] ${providerOrderId}: ${tier} to ${shipping.name}, ${shipping.address.city} (${file})`);
+
+  await getStore().set(JOB_KEY(providerOrderId), { orderNumber, tier, file, submittedAt: Date.now() });
+  return { providerOrderId, status: 'submitted' };
+}
+
+async function getStatus(providerOrderId) {
+  const job = await getStore().get(JOB_KEY(providerOrderId));
+  if (!job) {
+    throw new Error(`Unknown mock print job: ${providerOrderId}`);
+  }
+
+  const step = Math.min(Math.floor((Date.now() - job.submittedAt) / 1000 / stepSeconds()), STEPS.length - 1);
+  const status = STEPS[step];
+  const shipped = step >= STEPS.indexOf('shipped');
+
+  return {
+    status,
+    carrier: shipped ? 'Mock Post' : null,
+    trackingNumber: shipped ? `MP${job.orderNumber.replace(/\W/g, '')}` : null,
+    trackingUrl: null,
+  };
+}
+
+module.exports = { submit, getStatus };
@@ -0,0 +1,230 @@
+const { createOrder, getOrder, updateOrder, ensureSerial, isActive } = require('./orders');
+const { checkCertificateFit } = require('./render');
+const { validate } = require('./schema');
+const { BUNDLE_FORMATS } = require('./certificate-bundle');
+const { signDownloadToken, verifyDownloadToken } = require('./download-token');
+const { publicUrl } = require('./public-url');
+
+/**
+ * Group orders
+ *
+ * One checkout that buys a certificate for each of many recipients (an
+ * office, a family). The buyer pays for a group order, which carries the
+ * shared certificate fields, the payment and any shipping address:
+ *
+ *   order.group  { size, members: [orderNumber, ...] }
+ *
+ * Each recipient gets a member order of their own, with their name,
+ * achievement (when it's overridden), email address and serial:
+ *
+ *   order.groupOrderNumber  the group order it belongs to
+ *
+ * Members have no amount of their own. Refunds and disputes happen to the
+ * group order and carry over to its members (see ./refunds). Once paid,
+ * members are delivered one by one from the outbox (see ./dispatch). After
+ * the last one, the buyer is emailed a link to the bundle: every
+ * certificate in a ZIP, or one PDF with a page each (see ./certificate-bundle).
+ */
+
+const MIN_GROUP_SIZE = 2;
+
+// The bundle is rendered in one function call. Pages share a cached
+// background, so this is bounded by the ZIP's size more than render time.
+const MAX_GROUP_SIZE = 50;
+
+// Bundle links are signed like download tokens, for the group order
+const BUNDLE_TOKEN_ID = (orderNumber) => `group:${orderNumber}`;
+
+// ===========================================
+// Recipients
+// ===========================================
+/**
+ * Check and tidy the recipients sent with a group checkout, each against
+ * the recipient schema (see ./schema).
+ *
+ * @param {{ firstName: string, lastName: string, email?: string, achievement?: string }[]} recipients
+ *   achievement overrides the group's for that recipient
+ * @returns {{ valid: false, reason: string, fields?: Object<string, string> } |
+ *   { valid: true, recipients: object[] }}  fields are keyed like
+ *   recipients.2.email
+ */
+function validateRecipients(recipients) {
+  if (!Array.isArray(recipients) || recipients.length < MIN_GROUP_SIZE) {
+    return { valid: false, reason: `A group order needs at least ${MIN_GROUP_SIZE} recipients` };
+  }
+  if (recipients.length > MAX_GROUP_SIZE) {
+    return { valid: false, reason: `A group order can have at most ${MAX_GROUP_SIZE} recipients` };
+  }
+
+  const tidy = [];
+  const fields = {};
+  let reason = null;
+  for (const [index, recipient] of recipients.entries()) {
+    const result = validate('recipient', recipient);
+    if (result.valid) {
+      tidy.push(result.values);
+      continue;
+    }
+    reason = reason || `Recipient ${index + 1}: ${result.reason}`;
+    for (const [field, error] of Object.entries(result.fields)) {
+      fields[`recipients.${index}.${field}`] = error;
+    }
+  }
+
+  if (reason) {
+    return { valid: false, reason, fields };
+  }
+  return { valid: true, recipients: tidy };
+}
+
+// The certificate fields for one recipient of a group
+function memberCertificate(details, recipient) {
+  return {
+    ...details,
+    firstName: recipient.firstName,
+    lastName: recipient.lastName,
+    achievement: recipient.achievement || details.achievement,
+  };
+}
+
+/**
+ * The recipients whose text won't fit on the certificate.
+ *
+ * @param {object} details  the shared certificate fields
+ * @param {object[]} recipients  from validateRecipients
+ * @returns {Promise<{ index: number, name: string, overflow: string[] }[]>}
+ */
+async function checkGroupFit(details, recipients) {
+  const problems = [];
+  for (const [index, recipient] of recipients.entries()) {
+    const overflow = await checkCertificateFit(memberCertificate(details, recipient));
+    if (overflow.length > 0) {
+      problems.push({ index, name: `${recipient.firstName} ${recipient.lastName}`, overflow });
+    }
+  }
+  return problems;
+}
+
+// ===========================================
+// Orders
+// ===========================================
+/**
+ * Record a group order and its members, all in the `created` state.
+ *
+ * @param {object} details  as for createOrder: the shared certificate
+ *                          fields, buyer, tier, amount (for the whole group),
+ *                          currency and promo code
+ * @param {object[]} recipients  from validateRecipients
+ * @returns {Promise<object>} the group order
+ */
+async function createGroupOrder(details, recipients) {
+  const group = await createOrder({
+    ...details,
+    firstName: '',
+    lastName: '',
+    recipientEmail: '',
+    group: { size: recipients.length, members: [] },
+  });
+
+  const members = [];
+  for (const recipient of recipients) {
+    const member = await createOrder({
+      ...memberCertificate(details, recipient),
+      buyerEmail: details.buyerEmail,
+      recipientEmail: recipient.email,
+      tier: details.tier,
+      amount: 0,
+      currency: details.currency,
+      groupOrderNumber: group.orderNumber,
+    });
+    members.push(member.orderNumber);
+  }
+
+  return updateOrder(group.orderNumber, { group: { size: recipients.length, members } });
+}
+
+/**
+ * A group order's member orders, in the order the recipients were listed.
+ */
+async function getGroupMembers(order) {
+  if (!order || !order.group) {
+    return [];
+  }
+  const members = await Promise.all(order.group.members.map(getOrder));
+  return members.filter(Boolean);
+}
+
+/**
+ * Members that are still to be delivered. Disputed and refunded members
+ * don't count: they won't be.
+ */
+async function listUndeliveredMembers(order) {
+  return (await getGroupMembers(order)).filter(member => isActive(member) && member.status !== 'emailed');
+}
+
+// ===========================================
+// The buyer's bundle
+// ===========================================
+/**
+ * Links to a group order's bundle in each format, for the buyer's email
+ * and the order portal.
+ *
+ * @returns {{ zip: string, pdf: string }}
+ */
+function bundleUrls(order) {
+  const token = encodeURIComponent(signDownloadToken(BUNDLE_TOKEN_ID(order.orderNumber)));
+  const urls = {};
+  for (const format of BUNDLE_FORMATS) {
+    urls[format] = publicUrl(`/api/group-bundle?token=${token}&format=${format}`);
+  }
+  return urls;
+}
+
+/**
+ * The group order a bundle token was issued for, or null when the token is
+ * invalid or the order can't be downloaded (unpaid, disputed, refunded).
+ */
+async function loadBundleOrder(token) {
+  const match = /^group:(.+)$/.exec(verifyDownloadToken(token) || '');
+  const order = match && await getOrder(match[1]);
+  return order && order.group && isActive(order) ? order : null;
+}
+
+// e.g. 03-Ada-Lovelace.pdf, so the files sort in the order they were listed
+function bundleFilename(index, member) {
+  const name = `${member.certificate.firstName} ${member.certificate.lastName}`
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${String(index + 1).padStart(2, '0')}-${name || member.orderNumber}.pdf`;
+}
+
+/**
+ * The certificates in a group order's bundle: every member that can still
+ * be downloaded, with its serial, in the order the recipients were listed.
+ *
+ * @param {object} order  a group order
+ * @returns {Promise<{ filename: string, files: { name: string, fields: object }[] }>}
+ *   filename without its extension, and the files for writeCertificateBundle()
+ */
+async function getBundleFiles(order) {
+  const files = [];
+  for (const [index, member] of (await getGroupMembers(order)).entries()) {
+    if (!isActive(member)) continue;
+    const { serial } = await ensureSerial(member);
+    files.push({ name: bundleFilename(index, member), fields: { ...member.certificate, serial } });
+  }
+  return { filename: `phuckery-certificates-${order.orderNumber}`, files };
+}
+
+module.exports = {
+  MIN_GROUP_SIZE,
+  MAX_GROUP_SIZE,
+  validateRecipients,
+  checkGroupFit,
+  createGroupOrder,
+  getGroupMembers,
+  listUndeliveredMembers,
+  bundleUrls,
+  loadBundleOrder,
+  getBundleFiles,
+};
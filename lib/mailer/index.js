@@ -0,0 +1,80 @@
+const { renderEmail } = require('./templates');
+
+/**
+ * Mailer
+ *
+ * Renders one of the email templates (see ./templates) and sends it with
+ * the transport named by MAIL_TRANSPORT:
+ *
+ *   smtp     any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ *   file     writes each message to MAIL_DIR as an .eml file (local default)
+ *   console  logs each message instead of sending it
+ *
+ * `smtp` is picked automatically when SMTP_HOST is set. Deployments must
+ * configure one or the other: quietly writing customer emails to /tmp
+ * would look like success.
+ *
+ * A transport implements:
+ *
+ *   send({ from, to, subject, html, text, attachments }) -> { messageId }
+ *
+ * with attachments in nodemailer's { filename, content, contentType } shape.
+ */
+
+const TRANSPORTS = {
+  smtp: () => require('./transports/smtp'),
+  file: () => require('./transports/file'),
+  console: () => require('./transports/console'),
+};
+
+const DEFAULT_FROM = 'University of Phuckery <no-reply@phuckeryu.vercel.app>';
+
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.SMTP_HOST ? 'smtp' : (process.env.VERCEL ? null : 'file'));
+  if (!name) {
+    throw new Error('Mail transport not configured: set SMTP_HOST or MAIL_TRANSPORT');
+  }
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+  return { name, transport: TRANSPORTS[name]() };
+}
+
+/**
+ * Render a template and send it.
+ *
+ * @param {string} to
+ * @param {string} template     a template name, e.g. 'recipient'
+ * @param {object} data         the values the template fills in
+ * @param {{ attachments?: object[], version?: number }} [options]
+ * @returns {Promise<{ template: string, version: number, to: string,
+ *   transport: string, messageId: string, sentAt: string }>}
+ */
+async function sendEmail(to, template, data, { attachments = [], version } = {}) {
+  if (!to) {
+    throw new Error(`No recipient for ${template} email`);
+  }
+
+  const email = renderEmail(template, data, version);
+  const { name, transport } = getTransport();
+  const { messageId } = await transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    attachments,
+  });
+
+  return {
+    template,
+    version: email.version,
+    to,
+    transport: name,
+    messageId,
+    sentAt: new Date().toISOString(),
+  };
+}
+
+module.exports = { sendEmail };
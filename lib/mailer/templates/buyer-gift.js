@@ -0,0 +1,61 @@
+const { P, SMALL, FOOTER, escapeHtml, layout } = require('./layout');
+
+/**
+ * Sent to the buyer once a gifted degree has gone out to its recipient.
+ * No attachment: the certificate is the recipient's.
+ *
+ * v2 names the recipient and, for scheduled gifts, confirms the delivery
+ * went out at the time the buyer picked.
+ */
+
+function deliveredLine({ recipientEmail, scheduledFor }) {
+  return scheduledFor
+    ? `The degree certificate has been delivered to ${recipientEmail}, right on schedule for ${scheduledFor}.`
+    : `The degree certificate has been sent to ${recipientEmail}. They should receive it shortly.`;
+}
+
+module.exports = {
+  current: 2,
+  versions: {
+    1: {
+      subject: () => 'Your University of Phuckery Order is Complete!',
+      html: ({ orderNumber }) => layout('Order Confirmation', `
+    <p style="${P}">Your order has been processed and the certificate has been delivered!</p>
+    <div style="padding: 15px; margin: 20px 0; background: #f0fdf4; border-radius: 8px; border-left: 4px solid #22c55e;">
+      <p style="margin: 0; color: #374151; font-size: 16px;">The degree certificate has been sent to the recipient's email. They should receive it shortly.</p>
+    </div>
+    <p style="${P}">The phuckery has been delivered. Your work here is done.</p>
+    <p style="${SMALL}">Order number: <strong>${escapeHtml(orderNumber)}</strong></p>
+    <p style="${FOOTER}">University of Phuckery — Degrees That Hit Different</p>`),
+      text: ({ orderNumber }) => `Your order has been processed and the certificate has been delivered!
+
+The degree certificate has been sent to the recipient's email. They should receive it shortly.
+
+The phuckery has been delivered. Your work here is done.
+
+Order number: ${orderNumber}
+
+University of Phuckery — Degrees That Hit Different`,
+    },
+    2: {
+      subject: () => 'Your University of Phuckery Order is Complete!',
+      html: (data) => layout('Order Confirmation', `
+    <p style="${P}">Your order has been processed and the certificate has been delivered!</p>
+    <div style="padding: 15px; margin: 20px 0; background: #f0fdf4; border-radius: 8px; border-left: 4px solid #22c55e;">
+      <p style="margin: 0; color: #374151; font-size: 16px;">${escapeHtml(deliveredLine(data))}</p>
+    </div>
+    <p style="${P}">The phuckery has been delivered. Your work here is done.</p>
+    <p style="${SMALL}">Order number: <strong>${escapeHtml(data.orderNumber)}</strong></p>
+    <p style="${FOOTER}">University of Phuckery — Degrees That Hit Different</p>`),
+      text: (data) => `Your order has been processed and the certificate has been delivered!
+
+${deliveredLine(data)}
+
+The phuckery has been delivered. Your work here is done.
+
+Order number: ${data.orderNumber}
+
+University of Phuckery — Degrees That Hit Different`,
+    },
+  },
+};
@@ -0,0 +1,44 @@
+const { P, SMALL, FOOTER, escapeHtml, layout } = require('./layout');
+
+/**
+ * Sent to the buyer of a group order once every member has been delivered,
+ * with links to all the certificates as a ZIP or one merged PDF. No
+ * attachment: a whole office of diplomas is too big for most inboxes.
+ */
+
+function deliveredTo({ recipientEmail }) {
+  return recipientEmail ? `emailed to ${recipientEmail}` : 'in your download only';
+}
+
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: ({ members }) => `Your ${members.length} University of Phuckery Degrees Are Ready!`,
+      html: ({ orderNumber, members, bundleUrls }) => layout('Office of Mass Conferral', `
+    <p style="${P}">Congratulations to the whole class! All ${members.length} degrees from your group order have been conferred.</p>
+${members.map(member => `    <p style="${SMALL}"><strong>${escapeHtml(member.name)}</strong> — ${escapeHtml(deliveredTo(member))} (order ${escapeHtml(member.orderNumber)})</p>`).join('\n')}
+    <div style="padding: 15px; margin: 20px 0; background: #f0fdf4; border-radius: 8px; border-left: 4px solid #22c55e;">
+      <p style="margin: 0 0 8px; color: #374151; font-size: 16px;">Download every certificate at once:</p>
+      <p style="margin: 0; font-size: 16px;"><a href="${escapeHtml(bundleUrls.zip)}" style="color: #01538B; font-weight: bold;">ZIP of individual PDFs</a> &nbsp;·&nbsp; <a href="${escapeHtml(bundleUrls.pdf)}" style="color: #01538B; font-weight: bold;">One PDF for printing</a></p>
+    </div>
+    <p style="${P}">The phuckery has been delivered in bulk. Your work here is done.</p>
+    <p style="${SMALL}">Group order number: <strong>${escapeHtml(orderNumber)}</strong></p>
+    <p style="${FOOTER}">University of Phuckery — Degrees That Hit Different</p>`),
+      text: ({ orderNumber, members, bundleUrls }) => `Congratulations to the whole class! All ${members.length} degrees from your group order have been conferred.
+
+${members.map(member => `${member.name} — ${deliveredTo(member)} (order ${member.orderNumber})`).join('\n')}
+
+Download every certificate at once:
+
+ZIP of individual PDFs: ${bundleUrls.zip}
+One PDF for printing: ${bundleUrls.pdf}
+
+The phuckery has been delivered in bulk. Your work here is done.
+
+Group order number: ${orderNumber}
+
+University of Phuckery — Degrees That Hit Different`,
+    },
+  },
+};
@@ -0,0 +1,49 @@
+/**
+ * Email templates
+ *
+ * Each template module lists its versions and which one is current:
+ *
+ *   { current: 2, versions: { 1: { subject, html, text }, 2: { ... } } }
+ *
+ * where subject, html and text are functions of the template data. Copy
+ * changes go in a new version rather than editing an old one, so the
+ * version recorded on an order always says exactly what was sent.
+ */
+
+const TEMPLATES = {
+  recipient: require('./recipient'),
+  'buyer-gift': require('./buyer-gift'),
+  'self-purchase': require('./self-purchase'),
+  'group-buyer': require('./group-buyer'),
+  'verification-privacy': require('./verification-privacy'),
+  'order-portal': require('./order-portal'),
+  'order-refunded': require('./order-refunded'),
+};
+
+/**
+ * @param {string} name
+ * @param {object} data
+ * @param {number} [version]  defaults to the template's current version
+ * @returns {{ name: string, version: number, subject: string, html: string, text: string }}
+ */
+function renderEmail(name, data, version) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  const v = version || template.current;
+  const definition = template.versions[v];
+  if (!definition) {
+    throw new Error(`Unknown version ${v} of email template ${name}`);
+  }
+
+  return {
+    name,
+    version: v,
+    subject: definition.subject(data),
+    html: definition.html(data),
+    text: definition.text(data),
+  };
+}
+
+module.exports = { TEMPLATES, renderEmail };
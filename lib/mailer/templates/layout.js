@@ -0,0 +1,36 @@
+/**
+ * Shared email chrome: the blue University of Phuckery header over a white
+ * card, as in the original delivery emails. Inline styles only, since most
+ * mail clients drop <style> blocks.
+ */
+
+const P = 'font-size: 16px; color: #374151;';
+const SMALL = 'font-size: 14px; color: #6b7280;';
+const FOOTER = 'font-size: 14px; color: #9ca3af; margin-top: 30px; text-align: center;';
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {string} subtitle  line under the header, e.g. 'Order Confirmation'
+ * @param {string} body      inner HTML of the card
+ */
+function layout(subtitle, body) {
+  return `<div style="font-family: Georgia, serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="text-align: center; background: linear-gradient(135deg, #01538B 0%, #023a61 100%); padding: 30px; border-radius: 12px 12px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 28px;">University of Phuckery</h1>
+    <p style="color: #93c5fd; margin: 8px 0 0;">${escapeHtml(subtitle)}</p>
+  </div>
+  <div style="background: white; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+${body}
+  </div>
+</div>`;
+}
+
+module.exports = { P, SMALL, FOOTER, escapeHtml, layout };
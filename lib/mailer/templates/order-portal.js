@@ -0,0 +1,26 @@
+const { P, SMALL, FOOTER, escapeHtml, layout } = require('./layout');
+
+/**
+ * Sent to a buyer who asks the order portal for a sign-in link, with one
+ * link per order placed with their email address.
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: () => 'Your University of Phuckery orders',
+      html: ({ orders, expiresInHours }) => layout('Office of the Registrar', `
+    <p style="${P}">Here are the orders placed with this email address. Follow a link to check on the order, download the certificate again or have it resent.</p>
+${orders.map(({ orderNumber, name, portalUrl }) => `    <p style="${P}"><a href="${escapeHtml(portalUrl)}" style="color: #01538B; font-weight: bold;">${escapeHtml(orderNumber)}</a> — ${escapeHtml(name)}</p>`).join('\n')}
+    <p style="${SMALL}">These links work for ${expiresInHours} hours. If you didn't ask for them, ignore this email.</p>
+    <p style="${FOOTER}">University of Phuckery — Degrees That Hit Different</p>`),
+      text: ({ orders, expiresInHours }) => `Here are the orders placed with this email address. Follow a link to check on the order, download the certificate again or have it resent.
+
+${orders.map(({ orderNumber, name, portalUrl }) => `${orderNumber} — ${name}\n${portalUrl}`).join('\n\n')}
+
+These links work for ${expiresInHours} hours. If you didn't ask for them, ignore this email.
+
+University of Phuckery — Degrees That Hit Different`,
+    },
+  },
+};
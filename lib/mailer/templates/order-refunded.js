@@ -0,0 +1,31 @@
+const { P, SMALL, FOOTER, escapeHtml, layout } = require('./layout');
+
+/**
+ * Sent to the buyer when an order is fully refunded (by us, or through a
+ * chargeback), since the certificate stops verifying.
+ */
+
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100);
+}
+
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: ({ orderNumber }) => `Your University of Phuckery order ${orderNumber} has been refunded`,
+      html: ({ orderNumber, amountRefunded, currency }) => layout('Office of the Bursar', `
+    <p style="${P}">Your payment of <strong>${escapeHtml(formatAmount(amountRefunded, currency))}</strong> for order <strong>${escapeHtml(orderNumber)}</strong> has been returned to you. Depending on your bank, it can take 5–10 days to show up.</p>
+    <p style="${P}">With the refund, the degree from this order has been withdrawn: its QR code and verification page now show it as revoked, and any delivery still waiting to go out has been cancelled.</p>
+    <p style="${SMALL}">If this doesn't look right, reply to this email and we'll sort it out.</p>
+    <p style="${FOOTER}">University of Phuckery — Degrees That Hit Different</p>`),
+      text: ({ orderNumber, amountRefunded, currency }) => `Your payment of ${formatAmount(amountRefunded, currency)} for order ${orderNumber} has been returned to you. Depending on your bank, it can take 5–10 days to show up.
+
+With the refund, the degree from this order has been withdrawn: its QR code and verification page now show it as revoked, and any delivery still waiting to go out has been cancelled.
+
+If this doesn't look right, reply to this email and we'll sort it out.
+
+University of Phuckery — Degrees That Hit Different`,
+    },
+  },
+};
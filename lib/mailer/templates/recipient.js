@@ -0,0 +1,28 @@
+const { P, FOOTER, layout } = require('./layout');
+
+/**
+ * Sent to the recipient of a gifted degree, with the certificate attached.
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: () => 'You\'ve Been Awarded a Degree from the University of Phuckery!',
+      html: () => layout('Office of Distinguished Nonsense', `
+    <p style="${P}">Dear Esteemed Individual,</p>
+    <p style="${P}">It is our solemn duty and absolute pleasure to inform you that a prestigious degree has been bestowed upon someone very deserving — and that someone is <strong>you</strong>.</p>
+    <p style="${P}">Please find the official certificate attached to this email. Frame it, flaunt it, or just let it marinate in your inbox — either way, it's official now.</p>
+    <p style="${P}">Open the attached PDF to see your full degree details.</p>
+    <p style="${FOOTER}">This certificate was sent with love (and a little bit of petty) from the University of Phuckery.</p>`),
+      text: () => `Dear Esteemed Individual,
+
+It is our solemn duty and absolute pleasure to inform you that a prestigious degree has been bestowed upon someone very deserving — and that someone is you.
+
+Please find the official certificate attached to this email. Frame it, flaunt it, or just let it marinate in your inbox — either way, it's official now.
+
+Open the attached PDF to see your full degree details.
+
+This certificate was sent with love (and a little bit of petty) from the University of Phuckery.`,
+    },
+  },
+};
@@ -0,0 +1,32 @@
+const { P, SMALL, FOOTER, escapeHtml, layout } = require('./layout');
+
+/**
+ * Sent to a buyer who bought the degree for themselves, with the
+ * certificate attached.
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: () => 'Your University of Phuckery Degree Has Arrived!',
+      html: ({ orderNumber }) => layout('Office of Distinguished Nonsense', `
+    <p style="${P}">Congratulations!</p>
+    <p style="${P}">Your prestigious degree is ready. Please find your official certificate attached to this email.</p>
+    <p style="${P}">Frame it, flaunt it, or just let it marinate in your inbox — either way, it's official now.</p>
+    <p style="${P}">Open the attached PDF to see your full degree details.</p>
+    <p style="${SMALL}">Order number: <strong>${escapeHtml(orderNumber)}</strong></p>
+    <p style="${FOOTER}">University of Phuckery — Degrees That Hit Different</p>`),
+      text: ({ orderNumber }) => `Congratulations!
+
+Your prestigious degree is ready. Please find your official certificate attached to this email.
+
+Frame it, flaunt it, or just let it marinate in your inbox — either way, it's official now.
+
+Open the attached PDF to see your full degree details.
+
+Order number: ${orderNumber}
+
+University of Phuckery — Degrees That Hit Different`,
+    },
+  },
+};
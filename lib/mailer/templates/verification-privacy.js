@@ -0,0 +1,29 @@
+const { P, SMALL, FOOTER, escapeHtml, layout } = require('./layout');
+
+/**
+ * Sent to a certificate's holder when someone asks, from the verification
+ * page, to hide or show its details. Nothing changes until the link is used.
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: () => 'Manage your University of Phuckery degree listing',
+      html: ({ serial, manageUrl }) => layout('Office of the Registrar', `
+    <p style="${P}">Someone (hopefully you) asked to change what our public verification page shows for degree <strong>No. ${escapeHtml(serial)}</strong>.</p>
+    <p style="${P}">Use the link below to hide your name and degree details from the page, or to show them again.</p>
+    <p style="text-align: center; margin: 30px 0;"><a href="${escapeHtml(manageUrl)}" style="background: #01538B; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-family: Helvetica, Arial, sans-serif; font-weight: bold;">Manage my listing</a></p>
+    <p style="${SMALL}">If you didn't ask for this, ignore this email. Nothing changes until the link is used.</p>
+    <p style="${FOOTER}">University of Phuckery — Degrees That Hit Different</p>`),
+      text: ({ serial, manageUrl }) => `Someone (hopefully you) asked to change what our public verification page shows for degree No. ${serial}.
+
+Use the link below to hide your name and degree details from the page, or to show them again:
+
+${manageUrl}
+
+If you didn't ask for this, ignore this email. Nothing changes until the link is used.
+
+University of Phuckery — Degrees That Hit Different`,
+    },
+  },
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Console transport
+ *
+ * Logs who would have been emailed, and with what, without sending
+ * anything.
+ */
+
+async function send({ from, to, subject, text, attachments = [] }) {
+  const messageId = `<${crypto.randomUUID()}@console>`;
+  const files = attachments.map(a => `${a.filename} (${a.content.length} bytes)`).join(', ') || 'none';
+  console.log(`[mail] ${messageId}\n  From: ${from}\n  To: ${to}\n  Subject: ${subject}\n  Attachments: ${files}\n\n${text}\n`);
+  return { messageId };
+}
+
+module.exports = { send };
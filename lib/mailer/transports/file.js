@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * File transport
+ *
+ * Builds the full MIME message, attachments included, and writes it to
+ * MAIL_DIR (default .data/mail) as an .eml file that any mail client can
+ * open. For local development and tests.
+ */
+
+const MAIL_DIR = process.env.MAIL_DIR || (process.env.VERCEL
+  ? path.join(os.tmpdir(), 'phuckery-mail')
+  : path.join(process.cwd(), '.data', 'mail'));
+
+const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+async function send(message) {
+  const info = await transporter.sendMail(message);
+
+  fs.mkdirSync(MAIL_DIR, { recursive: true });
+  const safeTo = String(message.to).replace(/[^A-Za-z0-9@._-]/g, '_');
+  const file = path.join(MAIL_DIR, `${Date.now()}-${safeTo}.eml`);
+  fs.writeFileSync(file, info.message);
+  console.log(`[mail] ${message.subject} -> ${message.to} (${file})`);
+
+  return { messageId: info.messageId };
+}
+
+module.exports = { send };
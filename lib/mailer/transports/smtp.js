@@ -0,0 +1,36 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport
+ *
+ * SMTP_HOST is required. SMTP_PORT defaults to 587 (STARTTLS); port 465
+ * connects over TLS from the start. SMTP_USER and SMTP_PASS are optional
+ * for relays that don't authenticate.
+ */
+
+let transporter;
+
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST not configured');
+    }
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+async function send(message) {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+}
+
+module.exports = { send };
@@ -0,0 +1,405 @@
+const { getOrder, updateOrder, isHeld, isActive } = require('./orders');
+const { dispatchPaidOrder } = require('./dispatch');
+
+/**
+ * Content moderation
+ *
+ * Certificate text is printed under our name and often emailed to someone
+ * other than the buyer, so the free-text fields are checked before an order
+ * is taken and before a preview is rendered. Each problem found is a flag
+ * with an action:
+ *
+ *   block  the text can't be used at all; checkout and previews answer
+ *          with a field error so the buyer can reword it
+ *   hold   the text might be fine; the order can be paid for, but nothing
+ *          is delivered, printed or downloadable until an admin approves it
+ *          (order.moderation, reviewed from the admin dashboard)
+ *
+ * What's flagged:
+ *
+ *   blocklist   a blocked word or phrase, after undoing common disguises:
+ *               accents, lookalike letters, leetspeak (n1gg3r), repeated
+ *               letters and letters spaced or dotted apart (f.a.g). Blocks,
+ *               except that a short term in a first or last name only
+ *               holds: some are real surnames (Mike Coon).
+ *   disguised   a longer blocked word hidden inside other text, e.g. split
+ *               across words. Holds, since innocent words can contain one.
+ *   phone, url, email
+ *               contact details. Holds.
+ *   harassment  threats and "kill yourself"-style abuse aimed at the
+ *               recipient. Holds.
+ *
+ * Profanity isn't flagged: rude diplomas are the product. The built-in
+ * blocklist is slurs. More terms can be added without a deploy in the
+ * MODERATION_BLOCKLIST environment variable, as a JSON list of words or
+ * phrases, or { "term", "action" } to hold instead of block:
+ *
+ *   ["some slur", { "term": "rival university", "action": "hold" }]
+ *
+ * MODERATION_ALLOWLIST lists words that are never flagged, for innocent
+ * words that keep tripping a check (["scunthorpe"]).
+ *
+ * An admin approves a hold, which dispatches the order if it's been paid,
+ * or rejects it, which keeps it from ever being delivered; rejected orders
+ * are then refunded through /api/refunds.
+ */
+
+const ACTIONS = ['block', 'hold'];
+
+// Text fields of a certificate; emails and picked options aren't free text
+const TEXT_FIELDS = ['firstName', 'lastName', 'certificationDate', 'achievement'];
+const NAME_FIELDS = ['firstName', 'lastName'];
+
+const DEFAULT_BLOCKLIST = [
+  'nigger', 'nigga', 'faggot', 'fag', 'kike', 'spic', 'chink', 'gook', 'wetback',
+  'raghead', 'towelhead', 'sandnigger', 'coon', 'paki', 'tranny', 'retard',
+];
+
+// Blocked words shorter than this are only matched as whole words
+const MIN_DISGUISED_LENGTH = 5;
+
+// Lookalikes undone before matching. '1' is read both ways (see words).
+const LEETSPEAK = {
+  '0': 'o', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't', '\u20AC': 'e',
+};
+const LOOKALIKES = {
+  // Cyrillic and Greek letters that pass for Latin ones
+  '\u0430': 'a', '\u0435': 'e', '\u043E': 'o', '\u0440': 'p', '\u0441': 'c',
+  '\u0443': 'y', '\u0445': 'x', '\u0456': 'i', '\u0458': 'j', '\u0455': 's',
+  '\u03B1': 'a', '\u03BF': 'o', '\u03B9': 'i', '\u03BD': 'v', '\u03BA': 'k',
+};
+const INVISIBLE = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+const COMBINING_MARKS = /[\u0300-\u036F]/g;
+
+// Contact details, checked on the text as typed
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+const MIN_PHONE_DIGITS = 9;
+const URL_PATTERNS = [
+  /\b(?:https?:\/\/|www\.)\S+/i,
+  // Only an unspaced dot counts, so "a lot. Com..." isn't a web address
+  /\b[a-z0-9-]{2,}(?:\.|\s*(?:\(dot\)|\[dot\])\s*|\sdot\s)(?:com|net|org|io|co|ca|us|uk|me|ly|gg|tv|app|dev|xyz|info|biz|link|site|online|shop)\b/i,
+];
+const EMAIL_PATTERN = /[^\s@]+\s*(?:@|\(at\)|\[at\])\s*[^\s@]+\.[a-z]{2,}/i;
+
+// Checked on the normalized words (see words()), so they see through leetspeak
+const HARASSMENT_PATTERNS = [
+  /\bkill (?:your ?self|ur ?self|yo ?self)\b/,
+  /\bkys\b/,
+  /\b(?:go|hope (?:you|u)|wish (?:you|u) would) (?:die|drop dead)\b/,
+  /\b(?:you|u) (?:should|deserve to) (?:die|be (?:raped|killed|shot|hanged))\b/,
+  /\bi know where (?:you|u) live\b/,
+  /\bwatch (?:your|ur) back\b/,
+  /\b(?:everyone|everybody|we all) hates? (?:you|u)\b/,
+  /\bnobody (?:likes|loves|wants) (?:you|u)\b/,
+];
+
+// How the admin dashboard describes each flag
+const RULE_LABELS = {
+  blocklist: 'blocked term',
+  disguised: 'possible disguised blocked term',
+  phone: 'phone number',
+  url: 'web address',
+  email: 'email address',
+  harassment: 'possible harassment',
+};
+
+const BLOCKED_MESSAGE = 'Please reword this. It includes language we won\'t print.';
+
+// ===========================================
+// LOADING
+// ===========================================
+// The built-in blocklist plus MODERATION_BLOCKLIST, and MODERATION_ALLOWLIST
+let rules;
+
+function parseList(name) {
+  const raw = process.env[name];
+  if (!raw) {
+    return [];
+  }
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} must be a JSON list`);
+  }
+  return list;
+}
+
+function loadRules() {
+  if (rules) {
+    return rules;
+  }
+
+  const entries = [
+    ...DEFAULT_BLOCKLIST.map(term => ({ term, action: 'block' })),
+    ...parseList('MODERATION_BLOCKLIST').map((entry, index) => {
+      const { term, action = 'block' } = typeof entry === 'string' ? { term: entry } : entry || {};
+      if (typeof term !== 'string' || !words(term)[0].trim()) {
+        throw new Error(`MODERATION_BLOCKLIST[${index}] needs a term with letters in it`);
+      }
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`MODERATION_BLOCKLIST[${index}].action must be one of ${ACTIONS.join(', ')}`);
+      }
+      return { term, action };
+    }),
+  ];
+
+  rules = {
+    terms: entries.map(({ term, action }) => ({ term, action, ...termPatterns(term) })),
+    allowed: new Set(parseList('MODERATION_ALLOWLIST').flatMap(word => words(String(word))[0].split(' '))),
+  };
+  return rules;
+}
+
+// ===========================================
+// HELPER: Normalizing text
+// ===========================================
+/**
+ * Text as lowercase Latin words separated by single spaces, with disguises
+ * undone. One string per reading of '1' (i or l), most texts have one.
+ */
+function words(text) {
+  const plain = text
+    .normalize('NFKD')
+    .replace(COMBINING_MARKS, '')
+    .replace(INVISIBLE, '')
+    .toLowerCase();
+
+  const readings = plain.includes('1') ? ['i', 'l'] : ['i'];
+  return readings.map(one => {
+    const mapped = [...plain].map(char => (char === '1' ? one : LEETSPEAK[char] || LOOKALIKES[char] || char)).join('');
+
+    // Letters spaced or dotted apart are one word: "f a g" -> "fag"
+    const tokens = mapped.split(/[^a-z]+/).filter(Boolean);
+    const joined = [];
+    for (const token of tokens) {
+      const previous = joined[joined.length - 1];
+      if (token.length === 1 && previous && previous.single) {
+        previous.text += token;
+      } else {
+        joined.push({ text: token, single: token.length === 1 });
+      }
+    }
+    return joined.map(token => token.text).join(' ');
+  });
+}
+
+// Each run of a letter in the term matches that many or more, so "fagggot"
+// is caught but "coon" doesn't match "con"
+function termPatterns(term) {
+  const normalized = words(term)[0];
+  const source = normalized.replace(/([a-z])\1*/g, run => `${run[0]}{${run.length},}`);
+  return {
+    word: new RegExp(`(?:^| )${source}(?= |$)`),
+    hidden: normalized.replace(/ /g, '').length >= MIN_DISGUISED_LENGTH ? new RegExp(source.replace(/ /g, '')) : null,
+  };
+}
+
+// ===========================================
+// HELPER: Checks
+// ===========================================
+// Short terms (those too short to look for hidden in other words) are held
+// in names rather than blocked
+function checkBlocklist(text, { isName = false } = {}) {
+  const { terms, allowed } = loadRules();
+  const flags = [];
+
+  for (const reading of words(text)) {
+    const kept = reading.split(' ').filter(word => !allowed.has(word));
+    const spaced = kept.join(' ');
+    const squashed = kept.join('');
+
+    for (const { term, action, word, hidden } of terms) {
+      if (word.test(spaced)) {
+        flags.push({ rule: 'blocklist', action: isName && !hidden ? 'hold' : action, match: term });
+      } else if (hidden && hidden.test(squashed)) {
+        flags.push({ rule: 'disguised', action: 'hold', match: term });
+      }
+    }
+  }
+  return flags;
+}
+
+function checkContactDetails(text) {
+  const flags = [];
+  for (const [match] of text.matchAll(PHONE_PATTERN)) {
+    if (match.replace(/\D/g, '').length >= MIN_PHONE_DIGITS) {
+      flags.push({ rule: 'phone', action: 'hold', match });
+    }
+  }
+  // An email address's domain isn't flagged again as a web address
+  const email = text.match(EMAIL_PATTERN);
+  if (email) {
+    flags.push({ rule: 'email', action: 'hold', match: email[0] });
+  }
+  const rest = email ? text.replace(email[0], ' ') : text;
+  for (const pattern of URL_PATTERNS) {
+    const found = rest.match(pattern);
+    if (found) {
+      flags.push({ rule: 'url', action: 'hold', match: found[0] });
+      break;
+    }
+  }
+  return flags;
+}
+
+function checkHarassment(text) {
+  for (const reading of words(text)) {
+    for (const pattern of HARASSMENT_PATTERNS) {
+      const found = reading.match(pattern);
+      if (found) {
+        return [{ rule: 'harassment', action: 'hold', match: found[0] }];
+      }
+    }
+  }
+  return [];
+}
+
+// The same problem can turn up in both readings of '1'
+function uniqueFlags(flags) {
+  const seen = new Set();
+  return flags.filter(flag => {
+    const key = `${flag.field}|${flag.rule}|${flag.match}`;
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+// ===========================================
+// MODERATION
+// ===========================================
+/**
+ * Check free text.
+ *
+ * @param {Object<string, string>} texts  field name -> text; the names are
+ *                                        only used to label the flags
+ * @returns {{ action: 'allow'|'hold'|'block',
+ *   flags: { field: string, rule: string, action: string, match: string }[] }}
+ *   action is the strictest of the flags'
+ */
+function moderateText(texts) {
+  const flags = [];
+  for (const [field, text] of Object.entries(texts)) {
+    if (!text) continue;
+    const value = String(text);
+    // Recipients' fields are labelled recipients.<index>.<field>
+    const isName = NAME_FIELDS.includes(field.split('.').pop());
+    for (const flag of [...checkBlocklist(value, { isName }), ...checkContactDetails(value), ...checkHarassment(value)]) {
+      flags.push({ field, ...flag });
+    }
+  }
+
+  const unique = uniqueFlags(flags);
+  const action = unique.some(flag => flag.action === 'block') ? 'block'
+    : unique.length > 0 ? 'hold'
+      : 'allow';
+  return { action, flags: unique };
+}
+
+/**
+ * Check a certificate's text, and a group's recipients (flagged as
+ * recipients.<index>.<field>, like lib/schema.js's field errors).
+ *
+ * @param {object} fields  certificate fields
+ * @param {object[]} [recipients]  from validateRecipients
+ */
+function moderateCertificate(fields, recipients = []) {
+  const texts = {};
+  for (const field of TEXT_FIELDS) {
+    texts[field] = fields[field];
+  }
+  recipients.forEach((recipient, index) => {
+    for (const field of TEXT_FIELDS) {
+      texts[`recipients.${index}.${field}`] = recipient[field];
+    }
+  });
+  return moderateText(texts);
+}
+
+/**
+ * Field errors for blocked text, keyed like lib/schema.js's, or null.
+ */
+function blockedFields(result) {
+  const blocked = result.flags.filter(flag => flag.action === 'block');
+  if (blocked.length === 0) {
+    return null;
+  }
+  return Object.fromEntries(blocked.map(flag => [flag.field, BLOCKED_MESSAGE]));
+}
+
+/**
+ * The order.moderation record for text that has to be reviewed, or null.
+ */
+function reviewHold(result) {
+  if (result.action !== 'hold') {
+    return null;
+  }
+  return { status: 'held', flags: result.flags, heldAt: new Date().toISOString() };
+}
+
+/**
+ * A flag as the admin dashboard shows it: 'achievement: phone number
+ * ("613-555-0199")'.
+ */
+function describeFlag(flag) {
+  return `${flag.field}: ${RULE_LABELS[flag.rule] || flag.rule} ("${flag.match}")`;
+}
+
+// ===========================================
+// REVIEW
+// ===========================================
+async function recordReview(order, status, { reviewedBy, note }) {
+  if (!isHeld(order) || order.moderation.status !== 'held') {
+    throw new Error(`Order ${order.orderNumber} isn't waiting for review`);
+  }
+  return updateOrder(order.orderNumber, {
+    moderation: {
+      ...order.moderation,
+      status,
+      reviewedAt: new Date().toISOString(),
+      reviewedBy: reviewedBy || null,
+      note: note || null,
+    },
+  });
+}
+
+/**
+ * Let a held order's text through. A paid order is dispatched as if it had
+ * just been paid; an unpaid one is dispatched when it is.
+ *
+ * @param {object} order
+ * @param {{ reviewedBy?: string, note?: string }} review
+ * @returns {Promise<object>} the updated order
+ */
+async function approveOrder(order, review = {}) {
+  const approved = await recordReview(order, 'approved', review);
+  if (isActive(approved)) {
+    await dispatchPaidOrder(approved);
+  }
+  return getOrder(order.orderNumber);
+}
+
+/**
+ * Turn a held order down for good. Refunding it is up to the caller.
+ *
+ * @param {object} order
+ * @param {{ reviewedBy?: string, note?: string }} review
+ * @returns {Promise<object>} the updated order
+ */
+async function rejectOrder(order, review = {}) {
+  return recordReview(order, 'rejected', review);
+}
+
+module.exports = {
+  BLOCKED_MESSAGE,
+  moderateText,
+  moderateCertificate,
+  blockedFields,
+  reviewHold,
+  describeFlag,
+  approveOrder,
+  rejectOrder,
+};
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+/**
+ * Orders
+ *
+ * Every purchase is recorded here from the moment checkout starts, keyed by
+ * its order number (PHU-2026-7KQ3M). An order holds the certificate fields,
+ * style, tier, amount and a history of status transitions:
+ *
+ *   created -> paid -> generated -> emailed
+ *
+ * Any step can move to `failed`; a failed order can be retried from where
+ * it stopped. Stripe metadata carries the order number so the webhook and
+ * download paths can find their way back to the record.
+ *
+ * Stripe events add three more (see ./refunds):
+ *
+ *   created -> payment_failed   the card was declined; the buyer can retry
+ *   any paid status -> disputed  a chargeback is open; nothing is delivered
+ *                                until it's won, when the order goes back
+ *   any paid status -> refunded  final; the certificate no longer verifies
+ *
+ * Each order also gets a certificate serial number (7KQ3-M9XA), printed on
+ * the certificate and looked up by the public verification page.
+ *
+ * A group order (order.group) is paid for once and has a member order for
+ * each of its recipients (order.groupOrderNumber); see ./group-orders. The
+ * group order has no certificate or serial of its own.
+ *
+ * Text that moderation wants a person to look at (see ./moderation) puts
+ * the order on hold: order.moderation.status is `held` until an admin
+ * approves it, or `rejected`. A held order can be paid for, but isn't
+ * active until it's approved.
+ */
+
+const STATUSES = ['created', 'payment_failed', 'paid', 'generated', 'emailed', 'failed', 'disputed', 'refunded'];
+
+const TRANSITIONS = {
+  created:        ['paid', 'failed', 'payment_failed'],
+  payment_failed: ['paid'],
+  paid:           ['generated', 'failed', 'disputed', 'refunded'],
+  generated:      ['emailed', 'failed', 'disputed', 'refunded'],
+  emailed:        ['disputed', 'refunded'],
+  failed:         ['paid', 'generated', 'emailed', 'disputed', 'refunded'],
+  disputed:       ['paid', 'generated', 'emailed', 'failed', 'refunded'],
+  refunded:       [],
+};
+
+// Statuses before any money has been taken
+const UNPAID_STATUSES = ['created', 'payment_failed'];
+
+// Paid, but the certificate is withheld (disputed) or withdrawn (refunded)
+const WITHHELD_STATUSES = ['disputed', 'refunded'];
+
+// Moderation statuses that keep a paid order from being delivered
+const REVIEW_HOLDS = ['held', 'rejected'];
+
+// Certificate text copied onto the order
+const CERTIFICATE_FIELDS = ['firstName', 'lastName', 'certificationDate', 'degreeLevel', 'faculty', 'achievement', 'style'];
+
+const ORDER_KEY = (orderNumber) => `order:${orderNumber}`;
+const PAYMENT_INTENT_KEY = (paymentIntentId) => `order-by-payment-intent:${paymentIntentId}`;
+const SERIAL_KEY = (serial) => `order-by-serial:${serial}`;
+const EMAIL_KEY = (email, orderNumber = '') => `order-by-email:${normalizeEmail(email)}:${orderNumber}`;
+
+// No 0/O or 1/I so numbers survive being read out over the phone
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// ===========================================
+// HELPER: Order and serial numbers
+// ===========================================
+// With the buyer's email an order number signs in to the portal, so these
+// come from a CSPRNG too
+function generateOrderNumber() {
+  let result = `PHU-${new Date().getFullYear()}-`;
+  for (let i = 0; i < 5; i++) {
+    result += CODE_CHARS.charAt(crypto.randomInt(CODE_CHARS.length));
+  }
+  return result;
+}
+
+// Serials are public, so they come from a CSPRNG and can't be walked
+function generateSerial() {
+  let result = '';
+  for (let i = 0; i < 8; i++) {
+    if (i === 4) result += '-';
+    result += CODE_CHARS.charAt(crypto.randomInt(CODE_CHARS.length));
+  }
+  return result;
+}
+
+/**
+ * Create and save a new order in the `created` state.
+ *
+ * @param {object} details  certificate fields plus buyerEmail, recipientEmail,
+ *                          tier, amount (cents, after any discount), currency,
+ *                          promoCode and discount when a code was used,
+ *                          scheduledDelivery (see ./scheduled-delivery),
+ *                          moderation for a review hold (see ./moderation),
+ *                          and group or groupOrderNumber (see ./group-orders)
+ * @returns {Promise<object>} the saved order
+ */
+async function createOrder(details) {
+  const store = getStore();
+  const now = new Date().toISOString();
+
+  const certificate = {};
+  for (const field of CERTIFICATE_FIELDS) {
+    certificate[field] = details[field] || '';
+  }
+
+  const order = {
+    orderNumber: null,
+    status: 'created',
+    certificate,
+    style: details.style,
+    tier: details.tier || 'digital',
+    amount: details.amount,
+    currency: details.currency,
+    promoCode: details.promoCode || null,
+    discount: Number(details.discount) || 0,
+    buyerEmail: details.buyerEmail,
+    recipientEmail: details.recipientEmail || '',
+    scheduledDelivery: details.scheduledDelivery || null,
+    moderation: details.moderation || null,
+    group: details.group || null,
+    groupOrderNumber: details.groupOrderNumber || null,
+    serial: null,
+    // Whether /verify shows the certificate details (the recipient can opt out)
+    verificationPublic: true,
+    paymentIntentId: null,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ status: 'created', at: now }],
+  };
+
+  // Claim an unused order number, then an unused serial
+  let claimed = false;
+  for (let attempt = 0; attempt < 5 && !claimed; attempt++) {
+    order.orderNumber = generateOrderNumber();
+    claimed = await store.setIfAbsent(ORDER_KEY(order.orderNumber), order);
+  }
+  if (!claimed) {
+    throw new Error('Could not allocate an order number');
+  }
+  if (!order.group) {
+    order.serial = await claimSerial(order.orderNumber);
+  }
+
+  await store.set(ORDER_KEY(order.orderNumber), order);
+  if (order.buyerEmail) {
+    await store.set(EMAIL_KEY(order.buyerEmail, order.orderNumber), order.orderNumber);
+  }
+  return order;
+}
+
+async function claimSerial(orderNumber) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const serial = generateSerial();
+    if (await getStore().setIfAbsent(SERIAL_KEY(serial), orderNumber)) {
+      return serial;
+    }
+  }
+  throw new Error('Could not allocate a serial number');
+}
+
+/**
+ * Whether an order has been paid for, even if the payment was later
+ * disputed or refunded.
+ */
+function isPaid(order) {
+  return Boolean(order) && !UNPAID_STATUSES.includes(order.status);
+}
+
+/**
+ * Whether an order's text is waiting for review or was turned down.
+ */
+function isHeld(order) {
+  return Boolean(order && order.moderation) && REVIEW_HOLDS.includes(order.moderation.status);
+}
+
+/**
+ * Whether an order is paid and its certificate can be delivered, downloaded
+ * and changed.
+ */
+function isActive(order) {
+  return isPaid(order) && !WITHHELD_STATUSES.includes(order.status) && !isHeld(order);
+}
+
+/**
+ * Look up an order by number. Returns null when it doesn't exist.
+ */
+async function getOrder(orderNumber) {
+  if (!orderNumber) return null;
+  return getStore().get(ORDER_KEY(orderNumber));
+}
+
+/**
+ * Look up the order a Stripe PaymentIntent was created for.
+ */
+async function findOrderByPaymentIntent(paymentIntentId) {
+  const orderNumber = await getStore().get(PAYMENT_INTENT_KEY(paymentIntentId));
+  return getOrder(orderNumber);
+}
+
+/**
+ * Look up an order by its certificate serial number.
+ */
+async function findOrderBySerial(serial) {
+  const orderNumber = await getStore().get(SERIAL_KEY(String(serial || '').toUpperCase()));
+  return getOrder(orderNumber);
+}
+
+/**
+ * A buyer's orders, newest first. Only orders placed since the email index
+ * was added are found.
+ */
+async function findOrdersByEmail(email) {
+  const store = getStore();
+  if (!normalizeEmail(email)) return [];
+  const keys = await store.list(EMAIL_KEY(email));
+  const orders = await Promise.all(keys.map(async key => getOrder(await store.get(key))));
+  return orders
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * An order's serial number, assigning one to orders made before serials
+ * existed. Group orders have none.
+ */
+async function ensureSerial(order) {
+  if (order.serial || order.group) {
+    return order;
+  }
+  return updateOrder(order.orderNumber, { serial: await claimSerial(order.orderNumber) });
+}
+
+/**
+ * Merge fields into an order (not its status; see transitionOrder).
+ */
+async function updateOrder(orderNumber, changes) {
+  const store = getStore();
+  const order = await getOrder(orderNumber);
+  if (!order) {
+    throw new Error(`Order not found: ${orderNumber}`);
+  }
+
+  const { status, history, ...rest } = changes;
+  const updated = { ...order, ...rest, updatedAt: new Date().toISOString() };
+  await store.set(ORDER_KEY(orderNumber), updated);
+
+  if (rest.paymentIntentId && rest.paymentIntentId !== order.paymentIntentId) {
+    await store.set(PAYMENT_INTENT_KEY(rest.paymentIntentId), orderNumber);
+  }
+  return updated;
+}
+
+/**
+ * Move an order to a new status and record it in the history.
+ *
+ * Moving to the status an order is already in is a no-op, so retried
+ * webhooks and callbacks don't pile up history entries. Transitions not in
+ * TRANSITIONS throw.
+ *
+ * @param {string} orderNumber
+ * @param {string} status
+ * @param {object} [details]  recorded with the history entry (e.g. { error })
+ * @returns {Promise<object>} the updated order
+ */
+async function transitionOrder(orderNumber, status, details = {}) {
+  const order = await getOrder(orderNumber);
+  if (!order) {
+    throw new Error(`Order not found: ${orderNumber}`);
+  }
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown order status: ${status}`);
+  }
+  if (order.status === status) {
+    return order;
+  }
+  if (!TRANSITIONS[order.status].includes(status)) {
+    throw new Error(`Order ${orderNumber} cannot go from ${order.status} to ${status}`);
+  }
+
+  const now = new Date().toISOString();
+  const updated = {
+    ...order,
+    status,
+    updatedAt: now,
+    history: [...order.history, { status, at: now, ...details }],
+  };
+  await getStore().set(ORDER_KEY(orderNumber), updated);
+  return updated;
+}
+
+/**
+ * What a buyer may see of their order: status, delivery and shipping, but
+ * not payment details or internal history.
+ */
+function summarizeOrder(order) {
+  const { orderNumber, status, style, tier, buyerEmail, recipientEmail, createdAt } = order;
+  const shipment = order.shipment && {
+    status: order.shipment.status,
+    carrier: order.shipment.carrier,
+    trackingNumber: order.shipment.trackingNumber,
+    trackingUrl: order.shipment.trackingUrl,
+  };
+  return {
+    orderNumber,
+    status,
+    style,
+    tier,
+    buyerEmail,
+    recipientEmail,
+    createdAt,
+    scheduledDelivery: order.scheduledDelivery || null,
+    underReview: isHeld(order),
+    shipment: shipment || null,
+    group: order.group ? { size: order.group.size } : null,
+    groupOrderNumber: order.groupOrderNumber || null,
+  };
+}
+
+/**
+ * All orders, newest first.
+ */
+async function listOrders() {
+  const store = getStore();
+  const keys = await store.list(ORDER_KEY(''));
+  const orders = await Promise.all(keys.map(key => store.get(key)));
+  return orders
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  STATUSES,
+  isPaid,
+  isHeld,
+  isActive,
+  createOrder,
+  getOrder,
+  findOrderByPaymentIntent,
+  findOrderBySerial,
+  findOrdersByEmail,
+  ensureSerial,
+  updateOrder,
+  transitionOrder,
+  listOrders,
+  summarizeOrder,
+};
@@ -0,0 +1,207 @@
+const { getStore } = require('./store');
+
+/**
+ * Outbox
+ *
+ * Durable queue for side effects that must eventually happen, like emailing
+ * a paid order's certificate. A job is saved before it's attempted, so a
+ * failed or interrupted dispatch is retried instead of lost:
+ *
+ *   enqueue() -> pending -> (attempt fails) -> pending, retried with backoff
+ *                        -> (attempt succeeds) -> done (id remembered 30 days)
+ *                        -> (MAX_ATTEMPTS failures) -> dead letter
+ *
+ * Dead letters stay until an operator replays them (see /api/outbox).
+ * Pending jobs are picked up by runDueJobs(), called from the cron endpoint.
+ *
+ * Job types are registered in JOB_HANDLERS: `run(payload)` does the work and
+ * throws to fail; optional `onDeadLetter(job)` runs when a job gives up.
+ */
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+
+// Long enough for any handler to finish; a crashed run frees the job after this
+const LOCK_TTL_SECONDS = 120;
+
+const JOB_KEY = (id) => `outbox:job:${id}`;
+const DEAD_KEY = (id) => `outbox:dead:${id}`;
+const LOCK_KEY = (id) => `outbox:lock:${id}`;
+const DONE_KEY = (id) => `outbox:done:${id}`;
+
+// Completed ids are remembered so a late duplicate can't run a job twice
+const DONE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Handlers are required lazily so this module stays free of their dependencies
+const JOB_HANDLERS = {
+  'email-order': () => require('./delivery').deliveryHandler,
+  // Jobs queued for the retired n8n workflow carry the order number too, so
+  // they're delivered by email instead
+  'n8n-order': () => require('./delivery').deliveryHandler,
+  'print-order': () => require('./fulfillment').printOrderHandler,
+  'refund-notice': () => require('./refunds').refundNoticeHandler,
+};
+
+function getHandler(type) {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown outbox job type: ${type}`);
+  }
+  return JOB_HANDLERS[type]();
+}
+
+// ===========================================
+// HELPER: Retry delay
+// ===========================================
+// 30s, 1m, 2m, 4m ... capped at 6h, with up to 20% jitter so a backlog
+// doesn't retry in lockstep
+function backoffSeconds(attempts) {
+  const delay = Math.min(BASE_DELAY_SECONDS * 2 ** (attempts - 1), MAX_DELAY_SECONDS);
+  return delay * (1 + Math.random() * 0.2);
+}
+
+/**
+ * Save a job for delivery.
+ *
+ * Ids are idempotency keys: enqueueing an id that is already pending,
+ * dead-lettered or recently completed is a no-op and returns null.
+ *
+ * @param {string} type     a JOB_HANDLERS key
+ * @param {object} payload
+ * @param {{ id: string, runAt?: Date }} options
+ * @returns {Promise<object|null>} the new job
+ */
+async function enqueue(type, payload, { id, runAt = new Date() }) {
+  getHandler(type);
+  const store = getStore();
+
+  if (await store.get(DEAD_KEY(id)) || await store.get(DONE_KEY(id))) {
+    return null;
+  }
+
+  const job = {
+    id,
+    type,
+    payload,
+    attempts: 0,
+    runAt: runAt.toISOString(),
+    createdAt: new Date().toISOString(),
+    lastError: null,
+  };
+  return (await store.setIfAbsent(JOB_KEY(id), job)) ? job : null;
+}
+
+/**
+ * Attempt one job now, whether or not it's due.
+ *
+ * @returns {Promise<'succeeded'|'retrying'|'dead'|'locked'|'missing'>}
+ */
+async function runJob(id) {
+  const store = getStore();
+
+  // Another invocation (webhook or cron) is already running this job
+  if (!await store.setIfAbsent(LOCK_KEY(id), true, { ttlSeconds: LOCK_TTL_SECONDS })) {
+    return 'locked';
+  }
+
+  try {
+    const job = await store.get(JOB_KEY(id));
+    if (!job) return 'missing';
+
+    const handler = getHandler(job.type);
+    try {
+      await handler.run(job.payload);
+      await store.set(DONE_KEY(id), { completedAt: new Date().toISOString() }, { ttlSeconds: DONE_TTL_SECONDS });
+      await store.delete(JOB_KEY(id));
+      return 'succeeded';
+    } catch (err) {
+      const attempts = job.attempts + 1;
+      const failed = { ...job, attempts, lastError: err.message, lastAttemptAt: new Date().toISOString() };
+
+      if (attempts >= MAX_ATTEMPTS) {
+        console.error(`Outbox job ${id} failed ${attempts} times, moving to dead letters: ${err.message}`);
+        await store.set(DEAD_KEY(id), { ...failed, deadAt: new Date().toISOString() });
+        await store.delete(JOB_KEY(id));
+        if (handler.onDeadLetter) {
+          await handler.onDeadLetter(failed).catch(hookError =>
+            console.error(`Outbox dead-letter hook failed for ${id}:`, hookError.message));
+        }
+        return 'dead';
+      }
+
+      const delay = backoffSeconds(attempts);
+      console.error(`Outbox job ${id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${Math.round(delay)}s: ${err.message}`);
+      await store.set(JOB_KEY(id), { ...failed, runAt: new Date(Date.now() + delay * 1000).toISOString() });
+      return 'retrying';
+    }
+  } finally {
+    await store.delete(LOCK_KEY(id));
+  }
+}
+
+/**
+ * Run every pending job whose runAt has passed, oldest first.
+ *
+ * @param {{ limit?: number }} options  cap per call to stay inside the
+ *                                      function timeout
+ * @returns {Promise<Object<string, number>>} count of each runJob() outcome
+ */
+async function runDueJobs({ limit = 25 } = {}) {
+  const now = new Date().toISOString();
+  const due = (await listJobs()).filter(job => job.runAt <= now).slice(0, limit);
+
+  const results = {};
+  for (const job of due) {
+    const outcome = await runJob(job.id);
+    results[outcome] = (results[outcome] || 0) + 1;
+  }
+  return results;
+}
+
+async function listByPrefix(prefix, sortKey) {
+  const store = getStore();
+  const keys = await store.list(prefix);
+  const jobs = await Promise.all(keys.map(key => store.get(key)));
+  return jobs.filter(Boolean).sort((a, b) => a[sortKey].localeCompare(b[sortKey]));
+}
+
+/**
+ * Pending jobs, soonest first.
+ */
+async function listJobs() {
+  return listByPrefix(JOB_KEY(''), 'runAt');
+}
+
+/**
+ * Jobs that gave up, oldest first.
+ */
+async function listDeadLetters() {
+  return listByPrefix(DEAD_KEY(''), 'deadAt');
+}
+
+/**
+ * Move a dead letter back to pending with a fresh set of attempts and run it.
+ *
+ * @returns {Promise<string|null>} the runJob() outcome, or null if no such
+ *                                 dead letter exists
+ */
+async function replayDeadLetter(id) {
+  const store = getStore();
+  const dead = await store.get(DEAD_KEY(id));
+  if (!dead) return null;
+
+  const { deadAt, ...job } = dead;
+  await store.set(JOB_KEY(id), { ...job, attempts: 0, runAt: new Date().toISOString(), replayedAt: new Date().toISOString() });
+  await store.delete(DEAD_KEY(id));
+  return runJob(id);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueue,
+  runJob,
+  runDueJobs,
+  listJobs,
+  listDeadLetters,
+  replayDeadLetter,
+};
@@ -0,0 +1,209 @@
+const { getOrder, findOrdersByEmail, updateOrder, summarizeOrder, isPaid, isHeld, isActive } = require('./orders');
+const { signDownloadToken, verifyDownloadToken } = require('./download-token');
+const { checkCertificateFit } = require('./render');
+const { MAX_RESENDS } = require('./delivery');
+const { sendEmail } = require('./mailer');
+const { publicUrl } = require('./public-url');
+const { validate } = require('./schema');
+const { moderateCertificate } = require('./moderation');
+const { bundleUrls } = require('./group-orders');
+
+/**
+ * Order portal
+ *
+ * Lets a buyer look after a paid order without contacting support. They
+ * sign in with their email address and order number, or with a link
+ * emailed to that address, and get a portal token for the order. With it
+ * they can see the order's status, download the certificate again, have it
+ * resent, and fix a typo in the graduate's name for a while after buying.
+ * A group order's page links to its bundle; each member has a page of its
+ * own for its certificate.
+ *
+ * Portal tokens are signed like download tokens and expire:
+ *
+ *   portal:<orderNumber>:<expires, unix seconds>.<hmac>
+ *
+ * Name corrections are kept on the order:
+ *
+ *   order.corrections  [{ at, from: { firstName, lastName },
+ *                         to: { firstName, lastName } }]
+ */
+
+const PORTAL_TOKEN_HOURS = 24;
+
+// Long enough for the buyer (or the recipient) to spot a misspelling
+const CORRECTION_WINDOW_HOURS = 48;
+
+const PORTAL_TOKEN_ID = (orderNumber, expires) => `portal:${orderNumber}:${expires}`;
+
+// ===========================================
+// HELPER: Portal tokens
+// ===========================================
+function signPortalToken(orderNumber) {
+  const expires = Math.floor(Date.now() / 1000) + PORTAL_TOKEN_HOURS * 60 * 60;
+  return signDownloadToken(PORTAL_TOKEN_ID(orderNumber, expires));
+}
+
+function verifyPortalToken(token) {
+  const match = /^portal:([^:]+):(\d+)$/.exec(verifyDownloadToken(token) || '');
+  if (!match || Number(match[2]) * 1000 <= Date.now()) {
+    return null;
+  }
+  return match[1];
+}
+
+function sameEmail(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Sign in with an email address and order number.
+ *
+ * @returns {Promise<string|null>} a portal token, or null when no paid
+ *                                 order matches both
+ */
+async function signIn(email, orderNumber) {
+  const order = await getOrder(String(orderNumber || '').trim().toUpperCase());
+  if (!isPaid(order) || !sameEmail(order.buyerEmail, email)) {
+    return null;
+  }
+  return signPortalToken(order.orderNumber);
+}
+
+/**
+ * Email a buyer a sign-in link for each of their orders.
+ *
+ * @returns {Promise<number>} how many orders were linked
+ */
+async function sendPortalLinks(email) {
+  const orders = (await findOrdersByEmail(email)).filter(isPaid);
+  if (orders.length === 0) {
+    return 0;
+  }
+
+  await sendEmail(orders[0].buyerEmail, 'order-portal', {
+    orders: orders.map(order => ({
+      orderNumber: order.orderNumber,
+      name: order.group ? `Group of ${order.group.size}` : `${order.certificate.firstName} ${order.certificate.lastName}`,
+      portalUrl: publicUrl(`/orders.html?token=${encodeURIComponent(signPortalToken(order.orderNumber))}`),
+    })),
+    expiresInHours: PORTAL_TOKEN_HOURS,
+  });
+  return orders.length;
+}
+
+/**
+ * The order a portal token was issued for, or null when the token is
+ * invalid or expired.
+ */
+async function loadPortalOrder(token) {
+  const orderNumber = verifyPortalToken(token);
+  const order = orderNumber && await getOrder(orderNumber);
+  return isPaid(order) ? order : null;
+}
+
+// ===========================================
+// HELPER: What the buyer can still do
+// ===========================================
+function correctionDeadline(order) {
+  const paid = order.history.find(entry => entry.status === 'paid');
+  return paid ? new Date(Date.parse(paid.at) + CORRECTION_WINDOW_HOURS * 60 * 60 * 1000) : null;
+}
+
+function checkCorrectable(order) {
+  if (isHeld(order)) {
+    return { allowed: false, reason: 'Your order is being reviewed before it\'s sent' };
+  }
+  if (!isActive(order)) {
+    return { allowed: false, reason: `This order has been ${order.status}` };
+  }
+  if (order.group) {
+    return { allowed: false, reason: 'Names in a group order are corrected on each graduate\'s own order' };
+  }
+  if (order.shipment) {
+    return { allowed: false, reason: 'Your diploma has already gone to the printer' };
+  }
+  const deadline = correctionDeadline(order);
+  if (!deadline || deadline.getTime() <= Date.now()) {
+    return { allowed: false, reason: `Names can only be corrected within ${CORRECTION_WINDOW_HOURS} hours of purchase` };
+  }
+  return { allowed: true, until: deadline.toISOString() };
+}
+
+// Members of a group without an email address were only in the bundle
+function canResend(order) {
+  return order.status === 'emailed' && resendsLeft(order) > 0 && !(order.groupOrderNumber && !order.recipientEmail);
+}
+
+function resendsLeft(order) {
+  const sent = (order.delivery && order.delivery.emails) || [];
+  return Math.max(0, MAX_RESENDS - sent.filter(email => email.resend).length);
+}
+
+/**
+ * Everything the portal page shows for an order.
+ */
+function portalView(order) {
+  return {
+    order: summarizeOrder(order),
+    certificate: order.certificate,
+    // Works with /api/generate-certificate like the one from checkout
+    downloadToken: isActive(order) && !order.group ? signDownloadToken(order.paymentIntentId || order.orderNumber) : null,
+    bundle: isActive(order) && order.group ? { size: order.group.size, urls: bundleUrls(order) } : null,
+    resend: {
+      allowed: canResend(order),
+      remaining: resendsLeft(order),
+    },
+    correction: checkCorrectable(order),
+  };
+}
+
+/**
+ * Fix the graduate's name on an order within the correction window.
+ *
+ * @param {object} input  { firstName, lastName }, checked against the
+ *                        nameCorrection schema (see ./schema)
+ * @returns {Promise<{ valid: false, reason: string, fields?: object } | { valid: true, order: object }>}
+ */
+async function correctName(order, input) {
+  const correctable = checkCorrectable(order);
+  if (!correctable.allowed) {
+    return { valid: false, reason: correctable.reason };
+  }
+
+  const checked = validate('nameCorrection', input);
+  if (!checked.valid) {
+    return checked;
+  }
+
+  // There's no one to review a correction, so anything moderation would
+  // hold or block is turned down
+  const to = checked.values;
+  const moderation = moderateCertificate(to);
+  if (moderation.action !== 'allow') {
+    const reason = 'That name can\'t be used. If it really is the graduate\'s name, please contact support.';
+    return { valid: false, reason, fields: Object.fromEntries(moderation.flags.map(flag => [flag.field, reason])) };
+  }
+
+  const certificate = { ...order.certificate, ...to };
+  const overflow = await checkCertificateFit(certificate);
+  if (overflow.length > 0) {
+    const reason = 'That name is too long to fit on the certificate';
+    return { valid: false, reason, fields: { firstName: reason, lastName: reason } };
+  }
+
+  const from = { firstName: order.certificate.firstName, lastName: order.certificate.lastName };
+  const updated = await updateOrder(order.orderNumber, {
+    certificate,
+    corrections: [...(order.corrections || []), { at: new Date().toISOString(), from, to }],
+  });
+  return { valid: true, order: updated };
+}
+
+module.exports = {
+  signIn,
+  sendPortalLinks,
+  loadPortalOrder,
+  portalView,
+  correctName,
+};
@@ -0,0 +1,169 @@
+const { getStore } = require('./store');
+
+/**
+ * Promo codes
+ *
+ * Codes are configured in the PROMO_CODES environment variable as a JSON
+ * list, so campaigns can be started and stopped without a deploy:
+ *
+ *   [
+ *     { "code": "MOM20", "percentOff": 20, "expiresAt": "2027-05-10T23:59:59-04:00",
+ *       "maxUses": 500, "description": "Mother's Day 20% off" },
+ *     { "code": "PRINTFIVE", "amountOff": 500, "currency": "cad", "tiers": ["printed", "framed"] },
+ *     { "code": "JANE-FREE", "percentOff": 100, "maxUses": 5, "tiers": ["digital"] }
+ *   ]
+ *
+ * Exactly one of percentOff (1-100) or amountOff (smallest currency unit,
+ * with its currency) is required. expiresAt, maxUses and tiers are optional.
+ * Codes are matched case-insensitively.
+ *
+ * A free order claims its use before it's placed, and is turned away once
+ * maxUses is reached, however many checkouts race for the last use. A paid
+ * order's use is counted when it's paid, so a code can go over maxUses by
+ * as many paid checkouts as were open when it ran out.
+ */
+
+// Stripe won't charge less than this (50 cents), so discounts stop short of it
+const MIN_CHARGE = 50;
+
+const USES_KEY = (code) => `promo-uses:${code}`;
+
+// ===========================================
+// LOADING
+// ===========================================
+// PROMO_CODES by upper-cased code, with every entry checked before any is
+// used; a bad entry lists all the problems in one error
+let promoCodes;
+
+function validatePromo(promo, index) {
+  const errors = [];
+  const check = (condition, message) => { if (!condition) errors.push(message); };
+  const at = `PROMO_CODES[${index}]`;
+
+  check(typeof promo.code === 'string' && /^[A-Za-z0-9_-]{3,32}$/.test(promo.code),
+    `${at}.code must be 3-32 letters, digits, - or _`);
+  check((promo.percentOff === undefined) !== (promo.amountOff === undefined),
+    `${at} needs exactly one of percentOff or amountOff`);
+  check(promo.percentOff === undefined || (Number.isInteger(promo.percentOff) && promo.percentOff > 0 && promo.percentOff <= 100),
+    `${at}.percentOff must be an integer from 1 to 100`);
+  check(promo.amountOff === undefined || (Number.isInteger(promo.amountOff) && promo.amountOff > 0),
+    `${at}.amountOff must be a positive integer (cents)`);
+  check(promo.amountOff === undefined || typeof promo.currency === 'string',
+    `${at}.currency is required with amountOff`);
+  check(promo.expiresAt === undefined || !Number.isNaN(Date.parse(promo.expiresAt)),
+    `${at}.expiresAt must be a date`);
+  check(promo.maxUses === undefined || (Number.isInteger(promo.maxUses) && promo.maxUses > 0),
+    `${at}.maxUses must be a positive integer`);
+  check(promo.tiers === undefined || (Array.isArray(promo.tiers) && promo.tiers.length > 0),
+    `${at}.tiers must be a non-empty list`);
+
+  return errors;
+}
+
+function loadPromoCodes() {
+  if (promoCodes) return promoCodes;
+
+  let list = [];
+  if (process.env.PROMO_CODES) {
+    try {
+      list = JSON.parse(process.env.PROMO_CODES);
+    } catch (err) {
+      throw new Error(`Invalid PROMO_CODES: ${err.message}`);
+    }
+    if (!Array.isArray(list)) {
+      throw new Error('Invalid PROMO_CODES: expected a JSON list');
+    }
+  }
+
+  const errors = list.flatMap(validatePromo);
+  if (errors.length > 0) {
+    throw new Error(`Invalid PROMO_CODES:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  promoCodes = new Map(list.map(promo => [promo.code.toUpperCase(), {
+    ...promo,
+    code: promo.code.toUpperCase(),
+    currency: promo.currency && promo.currency.toLowerCase(),
+  }]));
+  return promoCodes;
+}
+
+// ===========================================
+// HELPER: Human-readable discount
+// ===========================================
+function describeDiscount(promo) {
+  if (promo.description) return promo.description;
+  if (promo.percentOff) return `${promo.percentOff}% off`;
+  return `$${(promo.amountOff / 100).toFixed(2)} off`;
+}
+
+/**
+ * Check a code against a catalog price and work out the discount.
+ *
+ * @param {string} code
+ * @param {{ tier: string, label: string, amount: number, currency: string }} price  from catalog.getPrice
+ * @returns {Promise<{ valid: false, reason: string } |
+ *   { valid: true, code: string, description: string, originalAmount: number, discount: number, amount: number }>}
+ */
+async function evaluatePromo(code, price) {
+  const promo = loadPromoCodes().get(String(code || '').trim().toUpperCase());
+  if (!promo) {
+    return { valid: false, reason: 'That promo code doesn\'t exist' };
+  }
+  if (promo.expiresAt && Date.parse(promo.expiresAt) <= Date.now()) {
+    return { valid: false, reason: 'That promo code has expired' };
+  }
+  if (promo.tiers && !promo.tiers.includes(price.tier)) {
+    return { valid: false, reason: `That promo code isn't valid for ${price.label}` };
+  }
+  if (promo.amountOff && promo.currency !== price.currency) {
+    return { valid: false, reason: `That promo code isn't valid in ${price.currency.toUpperCase()}` };
+  }
+  if (promo.maxUses && (Number(await getStore().get(USES_KEY(promo.code))) || 0) >= promo.maxUses) {
+    return { valid: false, reason: 'That promo code has been fully redeemed' };
+  }
+
+  let discount = promo.percentOff
+    ? Math.round((price.amount * promo.percentOff) / 100)
+    : Math.min(promo.amountOff, price.amount);
+
+  // Anything short of free still has to clear Stripe's minimum charge
+  if (discount < price.amount) {
+    discount = Math.min(discount, price.amount - MIN_CHARGE);
+  }
+
+  return {
+    valid: true,
+    code: promo.code,
+    description: describeDiscount(promo),
+    originalAmount: price.amount,
+    discount,
+    amount: price.amount - discount,
+  };
+}
+
+/**
+ * Count one use of a code.
+ */
+async function redeemPromo(code) {
+  return getStore().incr(USES_KEY(String(code).toUpperCase()));
+}
+
+/**
+ * Count one use of a code for a free order, before placing it. Counting
+ * comes first, so two checkouts can't both take the last use; one that
+ * goes past maxUses is given back.
+ *
+ * @returns {Promise<boolean>} false when the code is fully redeemed
+ */
+async function claimPromo(code) {
+  const promo = loadPromoCodes().get(String(code).toUpperCase());
+  const uses = await redeemPromo(code);
+  if (promo && promo.maxUses && uses > promo.maxUses) {
+    await getStore().incr(USES_KEY(promo.code), -1);
+    return false;
+  }
+  return true;
+}
+
+module.exports = { evaluatePromo, redeemPromo, claimPromo };
@@ -0,0 +1,15 @@
+/**
+ * Links back to the site, for emails and QR codes. PUBLIC_BASE_URL
+ * overrides the production domain (e.g. for preview deployments).
+ */
+
+const DEFAULT_BASE_URL = 'https://phuckeryu.vercel.app';
+
+/**
+ * @param {string} path  e.g. '/verify/7KQ3-M9XA'
+ */
+function publicUrl(path) {
+  return `${(process.env.PUBLIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '')}${path}`;
+}
+
+module.exports = { publicUrl };
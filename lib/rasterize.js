@@ -0,0 +1,89 @@
+const path = require('path');
+
+/**
+ * Server-side PDF rasterization
+ *
+ * Renders the first page of a PDF to PNG or JPEG using pdf.js on top of
+ * @napi-rs/canvas, so no browser or system libraries are involved.
+ */
+
+const DEFAULT_DPI = 150;
+const MIN_DPI = 36;
+const MAX_DPI = 300;
+const JPEG_QUALITY = 90;
+
+const FORMATS = {
+  png:  { contentType: 'image/png',  extension: 'png' },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+};
+
+// pdf-lib's StandardFonts aren't embedded in the PDF, so pdf.js needs its
+// bundled replacements to draw Times, Helvetica and Courier
+const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts',
+  path.sep
+);
+
+// pdf.js only ships as ES modules
+let pdfjsPromise;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Normalize a requested format ('png', 'jpeg' or 'jpg').
+ * Returns null for anything else.
+ */
+function resolveFormat(format) {
+  const key = String(format || '').toLowerCase();
+  const type = key === 'jpg' ? 'jpeg' : key;
+  return FORMATS[type] ? { type, ...FORMATS[type] } : null;
+}
+
+/**
+ * Clamp a requested DPI into the supported range.
+ */
+function resolveDpi(dpi) {
+  const value = Number(dpi) || DEFAULT_DPI;
+  return Math.min(MAX_DPI, Math.max(MIN_DPI, Math.round(value)));
+}
+
+/**
+ * Rasterize the first page of a PDF.
+ *
+ * @param {Uint8Array} pdfBytes
+ * @param {{ format?: 'png'|'jpeg', dpi?: number }} options
+ * @returns {Promise<Buffer>}
+ */
+async function rasterizePdf(pdfBytes, { format = 'png', dpi = DEFAULT_DPI } = {}) {
+  const pdfjs = await loadPdfjs();
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBytes),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    isEvalSupported: false,
+  }).promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const viewport = page.getViewport({ scale: resolveDpi(dpi) / 72 });
+    const { canvas, context } = pdf.canvasFactory.create(
+      Math.round(viewport.width),
+      Math.round(viewport.height)
+    );
+
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    return format === 'jpeg'
+      ? canvas.encode('jpeg', JPEG_QUALITY)
+      : canvas.encode('png');
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+module.exports = { rasterizePdf, resolveFormat, resolveDpi };
@@ -0,0 +1,201 @@
+const { getOrder, updateOrder, transitionOrder, isPaid } = require('./orders');
+const { getGroupMembers } = require('./group-orders');
+const { enqueue, runJob } = require('./outbox');
+const { unscheduleDelivery } = require('./scheduled-delivery');
+const { resumePaidOrder } = require('./dispatch');
+const { sendEmail } = require('./mailer');
+
+/**
+ * Refunds, disputes and failed payments
+ *
+ * Keeps orders in step with what Stripe reports after checkout (see
+ * api/webhook.js) and with refunds issued from /api/refunds:
+ *
+ *   order.refund        { amountRefunded, currency, reason, requestedBy,
+ *                         requestedAt, refundedAt }
+ *   order.dispute       { id, reason, status, openedAt, closedAt }
+ *   order.paymentError  why the last card attempt was declined
+ *
+ * A full refund is final: the order moves to `refunded`, its verification
+ * page shows the certificate as revoked, a scheduled delivery is cancelled
+ * and the buyer is told by email. Partial refunds are only recorded.
+ *
+ * An open dispute holds the order: scheduled delivery is cancelled and
+ * queued delivery and printing do nothing. Winning it puts the order back
+ * where it was and dispatches it again; losing it counts as a full refund.
+ *
+ * A group order's members (see ./group-orders) have no payment of their
+ * own, so they are refunded, held and restored along with the group order.
+ * Only the buyer is told.
+ */
+
+// ===========================================
+// HELPER: Group members
+// ===========================================
+async function transitionGroupMembers(order, status, details) {
+  for (const member of await getGroupMembers(order)) {
+    if (isPaid(member) && member.status !== 'refunded') {
+      await transitionOrder(member.orderNumber, status, details);
+      await unscheduleDelivery(member.orderNumber);
+    }
+  }
+}
+
+// Back to the status it had when the dispute opened
+async function restoreFromDispute(order, details) {
+  const before = [...order.history].reverse().find(entry => entry.status !== 'disputed');
+  return transitionOrder(order.orderNumber, before.status, details);
+}
+
+// ===========================================
+// Failed payments
+// ===========================================
+/**
+ * Record a declined payment. The buyer can still retry with another card,
+ * which moves the order on to `paid` as usual.
+ */
+async function recordPaymentFailure(order, message) {
+  if (order.status !== 'created' && order.status !== 'payment_failed') {
+    return order;
+  }
+  await updateOrder(order.orderNumber, { paymentError: message || 'Payment failed' });
+  return transitionOrder(order.orderNumber, 'payment_failed', { error: message || null });
+}
+
+// ===========================================
+// Refunds
+// ===========================================
+/**
+ * Note why a refund is being issued, before asking Stripe for it.
+ */
+async function recordRefundRequest(order, { reason, requestedBy }) {
+  return updateOrder(order.orderNumber, {
+    refund: { ...order.refund, reason, requestedBy, requestedAt: new Date().toISOString() },
+  });
+}
+
+/**
+ * Bring an order up to date with the total refunded on its payment.
+ * Safe to call again with the same total (Stripe retries, and both the
+ * refund endpoint and the webhook report the same refund).
+ *
+ * @param {string} orderNumber
+ * @param {{ amountRefunded: number, currency: string, reason?: string }} refund
+ *        amountRefunded is the running total, in the smallest currency unit
+ * @returns {Promise<object>} the updated order
+ */
+async function applyRefund(orderNumber, { amountRefunded, currency, reason }) {
+  const order = await getOrder(orderNumber);
+  if (!order) {
+    throw new Error(`Order not found: ${orderNumber}`);
+  }
+
+  const refund = {
+    ...order.refund,
+    amountRefunded,
+    currency,
+    reason: (order.refund && order.refund.reason) || reason || 'Refunded in Stripe',
+  };
+  if (amountRefunded < order.amount || order.status === 'refunded') {
+    return updateOrder(orderNumber, { refund });
+  }
+
+  await updateOrder(orderNumber, { refund: { ...refund, refundedAt: new Date().toISOString() } });
+  const refunded = await transitionOrder(orderNumber, 'refunded', { reason: refund.reason });
+  await unscheduleDelivery(orderNumber);
+  await transitionGroupMembers(refunded, 'refunded', { reason: refund.reason, groupOrderNumber: orderNumber });
+  await notifyRefund(refunded);
+  return refunded;
+}
+
+// The refund already happened; a mail failure is retried from the outbox
+// rather than failing whoever reported it
+async function notifyRefund(order) {
+  const jobId = `refund-notice:${order.orderNumber}`;
+  if (!await enqueue('refund-notice', { orderNumber: order.orderNumber }, { id: jobId })) {
+    return;
+  }
+  try {
+    console.log(`Refund notice ${jobId}: ${await runJob(jobId)}`);
+  } catch (err) {
+    console.error(`Refund notice ${jobId} deferred:`, err.message);
+  }
+}
+
+/**
+ * Outbox handler for 'refund-notice' jobs.
+ */
+const refundNoticeHandler = {
+  async run({ orderNumber }) {
+    const order = await getOrder(orderNumber);
+    if (!order || !order.refund) {
+      throw new Error(`No refund recorded on order ${orderNumber}`);
+    }
+    await sendEmail(order.buyerEmail, 'order-refunded', {
+      orderNumber,
+      amountRefunded: order.refund.amountRefunded,
+      currency: order.refund.currency,
+    });
+  },
+};
+
+// ===========================================
+// Disputes
+// ===========================================
+/**
+ * Hold an order while a chargeback is open.
+ *
+ * @param {object} order
+ * @param {{ id: string, reason: string, status: string }} dispute  Stripe's dispute
+ */
+async function openDispute(order, dispute) {
+  // Held for review still counts: it's paid, and its dispute is recorded
+  if (!isPaid(order) || order.status === 'disputed' || order.status === 'refunded') {
+    return order;
+  }
+  await updateOrder(order.orderNumber, {
+    dispute: { id: dispute.id, reason: dispute.reason, status: dispute.status, openedAt: new Date().toISOString(), closedAt: null },
+  });
+  const disputed = await transitionOrder(order.orderNumber, 'disputed', { reason: dispute.reason });
+  await unscheduleDelivery(order.orderNumber);
+  await transitionGroupMembers(disputed, 'disputed', { reason: dispute.reason, groupOrderNumber: order.orderNumber });
+  return disputed;
+}
+
+/**
+ * Settle a dispute: put a won order back where it was, refund a lost one.
+ */
+async function closeDispute(order, dispute) {
+  await updateOrder(order.orderNumber, {
+    dispute: { ...order.dispute, status: dispute.status, closedAt: new Date().toISOString() },
+  });
+
+  if (dispute.status === 'lost') {
+    return applyRefund(order.orderNumber, {
+      amountRefunded: order.amount,
+      currency: order.currency,
+      reason: `Chargeback lost (${dispute.reason})`,
+    });
+  }
+  if (order.status !== 'disputed') {
+    return getOrder(order.orderNumber);
+  }
+
+  const restored = await restoreFromDispute(order, { dispute: dispute.status });
+  for (const member of await getGroupMembers(order)) {
+    if (member.status === 'disputed') {
+      await restoreFromDispute(member, { dispute: dispute.status, groupOrderNumber: order.orderNumber });
+    }
+  }
+  await resumePaidOrder(restored);
+  return restored;
+}
+
+module.exports = {
+  recordPaymentFailure,
+  recordRefundRequest,
+  applyRefund,
+  refundNoticeHandler,
+  openDispute,
+  closeDispute,
+};
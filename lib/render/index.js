@@ -0,0 +1,83 @@
+const certificate = require('../certificate');
+const { getTemplate } = require('../templates');
+
+/**
+ * Certificate rendering
+ *
+ * Every certificate (previews, downloads, email attachments, print files)
+ * is rendered through here. The style's manifest names the renderer that
+ * draws it (see ../templates); callers pass the same certificate fields
+ * and get the same PDF back either way, so checkout, delivery and printing
+ * don't need to know which one it was.
+ *
+ * A renderer implements:
+ *
+ *   page(template, fields)     -> { fields, artwork?, overflow? }
+ *   checkFit(template, fields) -> overflow (slot names)
+ *
+ * page() returns what ../certificate needs to draw the page: the fields,
+ * plus artwork (a one-page PDF with the text already set) and its overflow
+ * when the renderer sets the text itself. Every page is finished there, so
+ * one document can mix styles from any renderer. PNG and JPEG output is
+ * rasterized from the PDF (see ../rasterize).
+ */
+
+const RENDERERS = {
+  local: () => require('./renderers/local'),
+  canva: () => require('./renderers/canva'),
+};
+
+function lookup(style) {
+  const template = getTemplate(style);
+  if (!template) {
+    throw new Error(`Invalid style: ${style}`);
+  }
+  return { template, renderer: RENDERERS[template.renderer]() };
+}
+
+/**
+ * Render a certificate to PDF with its style's renderer.
+ *
+ * @param {object} fields  firstName, lastName, certificationDate, degreeLevel,
+ *                         faculty, achievement, style (template id), and
+ *                         serial to add the verification QR code
+ * @param {{ preview?: boolean, bleed?: number, background?: Uint8Array,
+ *   colorSpace?: 'rgb'|'cmyk' }} [options]  see ../certificate
+ * @returns {Promise<{ pdfBytes: Uint8Array, overflow: string[] }>}
+ */
+async function renderCertificate(fields, options = {}) {
+  const { pdfBytes, overflow } = await renderCertificates([fields], options);
+  return { pdfBytes, overflow: overflow[0] };
+}
+
+/**
+ * Render several certificates as the pages of one PDF, sharing fonts and
+ * backgrounds between them (see ../certificate).
+ *
+ * @param {object[]} certificates  fields for each page, as for renderCertificate()
+ * @param {object} [options]  as for renderCertificate(), for every page
+ * @returns {Promise<{ pdfBytes: Uint8Array, overflow: string[][] }>}
+ */
+async function renderCertificates(certificates, options = {}) {
+  const pages = [];
+  for (const fields of certificates) {
+    const { template, renderer } = lookup(fields.style);
+    pages.push(await renderer.page(template, fields));
+  }
+  return certificate.renderCertificates(pages, options);
+}
+
+/**
+ * Check whether certificate text fits its style without rendering.
+ * Returns the names of slots that overflow (empty when everything fits).
+ */
+async function checkCertificateFit(fields) {
+  const { template, renderer } = lookup(fields.style);
+  return renderer.checkFit(template, fields);
+}
+
+module.exports = {
+  renderCertificate,
+  renderCertificates,
+  checkCertificateFit,
+};
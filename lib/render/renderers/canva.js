@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { buildSlotText } = require('../../templates');
+const { createCanvaClient } = require('../../canva');
+const { registerDesign } = require('../../canva-designs');
+const { getStore } = require('../../store');
+
+/**
+ * Canva renderer
+ *
+ * Styles designed in Canva: the manifest's brand template is autofilled
+ * with the slot text (each slot names the data field it fills), exported
+ * as a PDF, and that artwork finished like any other certificate (serial,
+ * QR code, preview watermark; see ../../certificate).
+ *
+ * The artwork depends only on the text, so an export is reused for an
+ * hour: a preview and the download that follows cost one Canva job.
+ * Designs made along the way are registered for /api/cleanup.
+ */
+
+// Autofill and export each; well inside the render functions' limits
+const JOB_TIMEOUT_MS = 20 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 15 * 1000;
+const ARTWORK_CACHE_TTL_SECONDS = 60 * 60;
+
+const ARTWORK_KEY = (hash) => `canva-artwork:${hash}`;
+
+/**
+ * Autofill data for a Canva style: each slot's text under its data field.
+ *
+ * @param {object} template  a manifest with renderer 'canva'
+ * @param {object} fields    certificate fields
+ */
+function autofillData(template, fields) {
+  const text = buildSlotText(template, fields);
+  const data = {};
+  for (const [slotName, value] of Object.entries(text)) {
+    data[template.slots[slotName].field] = { type: 'text', text: value };
+  }
+  return data;
+}
+
+// ===========================================
+// HELPER: Export artwork from Canva
+// ===========================================
+async function exportArtwork(canva, brandTemplateId, data) {
+  const autofill = await canva.createAutofillJob(brandTemplateId, data);
+  const { design } = await canva.waitForJob(() => canva.getAutofillJob(autofill.job.id), { timeoutMs: JOB_TIMEOUT_MS });
+  await registerDesign(design.id, { templateId: brandTemplateId });
+
+  const exportJob = await canva.createExportJob(design.id, { format: 'pdf', pages: [1] });
+  const result = await canva.waitForJob(() => canva.getExportJob(exportJob.job.id), { timeoutMs: JOB_TIMEOUT_MS });
+  return { designId: design.id, url: result.url };
+}
+
+async function download(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Canva export download failed: ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function getArtwork(template, fields) {
+  const { brandTemplateId } = template.canva;
+  const data = autofillData(template, fields);
+  const hash = crypto.createHash('sha256').update(JSON.stringify([brandTemplateId, data])).digest('hex');
+  const store = getStore();
+
+  const cached = await store.get(ARTWORK_KEY(hash));
+  if (cached) {
+    try {
+      return await download(cached.url);
+    } catch (err) {
+      // Export links expire; make a new one
+      console.warn(`Cached Canva export for ${template.id} unusable: ${err.message}`);
+    }
+  }
+
+  const canva = await createCanvaClient();
+  if (!canva) {
+    throw new Error(`Canva is not connected; style ${template.id} can't be rendered`);
+  }
+  const exported = await exportArtwork(canva, brandTemplateId, data);
+  await store.set(ARTWORK_KEY(hash), exported, { ttlSeconds: ARTWORK_CACHE_TTL_SECONDS });
+  return download(exported.url);
+}
+
+// ===========================================
+// Renderer
+// ===========================================
+// Canva shrinks text to fit its boxes, so the only limit is the manifest's
+function checkFit(template, fields) {
+  const text = buildSlotText(template, fields);
+  return Object.keys(text).filter(slotName => {
+    const { maxLength } = template.slots[slotName];
+    return maxLength !== undefined && [...text[slotName]].length > maxLength;
+  });
+}
+
+async function page(template, fields) {
+  return { fields, artwork: await getArtwork(template, fields), overflow: checkFit(template, fields) };
+}
+
+module.exports = {
+  autofillData,
+  page,
+  checkFit,
+};
@@ -0,0 +1,17 @@
+const certificate = require('../../certificate');
+
+/**
+ * Local renderer
+ *
+ * The built-in styles: background image and text slots drawn with pdf-lib
+ * (see ../../certificate).
+ */
+
+module.exports = {
+  page(template, fields) {
+    return { fields };
+  },
+  checkFit(template, fields) {
+    return certificate.checkCertificateFit(fields);
+  },
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+/**
+ * Request limits
+ *
+ * Caps on how big and how frequent requests to the public routes can be,
+ * so nobody can run up render time or Canva designs. Each limited route
+ * has a body size cap and two token buckets:
+ *
+ *   ip       per client address, the real cap
+ *   session  per browser tab, from the X-Session-Id header the site sends,
+ *            so one busy tab doesn't use up an office's shared address.
+ *            A client can make up session ids, so it never raises the cap.
+ *
+ * A bucket holds up to `burst` tokens and refills at `perMinute`. Each
+ * request takes one (or its cost, e.g. a batch render's size, capped at a
+ * full bucket). An empty bucket answers 429 with Retry-After; an oversized
+ * body answers 413.
+ *
+ * RATE_LIMITS overrides the defaults per route as JSON, e.g.
+ *
+ *   { "render": { "ip": { "burst": 200, "perMinute": 100 } } }
+ *
+ * Buckets live in a pluggable store, picked with RATE_LIMIT_STORE:
+ *
+ *   store   the shared key-value store (default; see ./store), so limits
+ *           hold across function instances
+ *   memory  this instance only; no round trips, but each instance counts
+ *           on its own
+ *
+ * Buckets are read and written without a lock, so a burst of concurrent
+ * requests can slip a request or two past. That's fine for abuse
+ * protection. If the store fails, requests are let through.
+ */
+
+const LIMITS = {
+  // /api/generate-certificate: a render per debounced keystroke
+  render: { maxBytes: 64 * 1024, ip: { burst: 120, perMinute: 60 }, session: { burst: 60, perMinute: 30 } },
+  // /api/preview: each one is a Canva design
+  preview: { maxBytes: 16 * 1024, ip: { burst: 30, perMinute: 10 }, session: { burst: 10, perMinute: 4 } },
+  jobs: { maxBytes: 4 * 1024, ip: { burst: 120, perMinute: 60 }, session: { burst: 60, perMinute: 30 } },
+  // /api/create-payment-intent: a group order is up to 50 recipients
+  checkout: { maxBytes: 64 * 1024, ip: { burst: 30, perMinute: 10 }, session: { burst: 15, perMinute: 5 } },
+  // Guessable secrets: promo codes, order numbers, serials
+  promo: { maxBytes: 4 * 1024, ip: { burst: 20, perMinute: 5 }, session: { burst: 10, perMinute: 3 } },
+  portal: { maxBytes: 16 * 1024, ip: { burst: 20, perMinute: 6 }, session: { burst: 10, perMinute: 3 } },
+  order: { maxBytes: 4 * 1024, ip: { burst: 30, perMinute: 10 }, session: { burst: 15, perMinute: 5 } },
+  verify: { maxBytes: 4 * 1024, ip: { burst: 30, perMinute: 10 }, session: { burst: 15, perMinute: 5 } },
+  // /api/group-bundle: a ZIP or PDF of up to 50 certificates
+  bundle: { maxBytes: 4 * 1024, ip: { burst: 10, perMinute: 2 }, session: { burst: 5, perMinute: 1 } },
+};
+
+const BUCKET_KEY = (route, kind, id) => `ratelimit:${route}:${kind}:${id}`;
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const TOO_MANY_REQUESTS = 'Too many requests. Please wait a moment and try again.';
+
+// ===========================================
+// BUCKET STORES
+// ===========================================
+// Both answer get(key) and set(key, value, { ttlSeconds })
+const memoryBuckets = new Map();
+
+// Past this, expired buckets are swept before another is added
+const MAX_MEMORY_BUCKETS = 10000;
+
+const BUCKET_STORES = {
+  store: () => getStore(),
+  memory: () => ({
+    async get(key) {
+      const entry = memoryBuckets.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    },
+    async set(key, value, { ttlSeconds }) {
+      if (memoryBuckets.size >= MAX_MEMORY_BUCKETS) {
+        for (const [stale, entry] of memoryBuckets) {
+          if (entry.expiresAt <= Date.now()) memoryBuckets.delete(stale);
+        }
+      }
+      memoryBuckets.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+  }),
+};
+
+let bucketStore;
+
+function getBucketStore() {
+  if (!bucketStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'store';
+    if (!BUCKET_STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    }
+    bucketStore = BUCKET_STORES[name]();
+  }
+  return bucketStore;
+}
+
+// ===========================================
+// LOADING
+// ===========================================
+// LIMITS with the RATE_LIMITS overrides applied, checked in full
+let limits;
+
+function validateBucket(bucket, at) {
+  const positive = (value) => typeof value === 'number' && value > 0;
+  if (!bucket || !positive(bucket.burst) || !positive(bucket.perMinute)) {
+    throw new Error(`RATE_LIMITS.${at} needs a positive burst and perMinute`);
+  }
+}
+
+function loadLimits() {
+  if (limits) return limits;
+
+  let overrides = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS);
+    } catch (err) {
+      throw new Error(`RATE_LIMITS is not valid JSON: ${err.message}`);
+    }
+  }
+
+  const loaded = {};
+  for (const [route, defaults] of Object.entries(LIMITS)) {
+    const override = overrides[route] || {};
+    loaded[route] = {
+      maxBytes: override.maxBytes || defaults.maxBytes,
+      ip: { ...defaults.ip, ...override.ip },
+      session: { ...defaults.session, ...override.session },
+    };
+    validateBucket(loaded[route].ip, `${route}.ip`);
+    validateBucket(loaded[route].session, `${route}.session`);
+  }
+  for (const route of Object.keys(overrides)) {
+    if (!LIMITS[route]) {
+      throw new Error(`RATE_LIMITS has an unknown route: ${route}`);
+    }
+  }
+
+  limits = loaded;
+  return limits;
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+// Vercel puts the client first in X-Forwarded-For
+function clientAddress(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Addresses are hashed so the store never holds them
+function hashId(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
+
+function bodySize(req) {
+  const declared = Number(req.headers['content-length']);
+  if (Number.isFinite(declared) && declared > 0) {
+    return declared;
+  }
+  return req.body ? Buffer.byteLength(typeof req.body === 'string' ? req.body : JSON.stringify(req.body)) : 0;
+}
+
+// A bucket topped up for the time since it was last used
+function refill(state, bucket, now) {
+  const rate = bucket.perMinute / 60000;
+  if (!state) {
+    return { tokens: bucket.burst, at: now };
+  }
+  return { tokens: Math.min(bucket.burst, state.tokens + (now - state.at) * rate), at: now };
+}
+
+// ===========================================
+// LIMITING
+// ===========================================
+// Take tokens from a route's buckets for a request. retryAfter is in
+// seconds.
+async function takeTokens(req, route, config, cost) {
+  const sessionId = String(req.headers['x-session-id'] || '');
+  const buckets = [{ kind: 'ip', id: hashId(clientAddress(req)), bucket: config.ip }];
+  if (SESSION_ID_PATTERN.test(sessionId)) {
+    buckets.push({ kind: 'session', id: sessionId, bucket: config.session });
+  }
+
+  const store = getBucketStore();
+  const now = Date.now();
+  const states = await Promise.all(buckets.map(async ({ kind, id, bucket }) =>
+    refill(await store.get(BUCKET_KEY(route, kind, id)), bucket, now)));
+
+  // Nothing is taken unless every bucket has enough
+  let retryAfter = 0;
+  for (const [index, { bucket }] of buckets.entries()) {
+    const needed = Math.min(cost, bucket.burst);
+    if (states[index].tokens < needed) {
+      const wait = (needed - states[index].tokens) / (bucket.perMinute / 60);
+      retryAfter = Math.max(retryAfter, Math.ceil(wait));
+    }
+  }
+  if (retryAfter > 0) {
+    return { allowed: false, retryAfter };
+  }
+
+  // Kept until the bucket would be full again, then it's as good as new
+  await Promise.all(buckets.map(({ kind, id, bucket }, index) => {
+    const state = { ...states[index], tokens: states[index].tokens - Math.min(cost, bucket.burst) };
+    const ttlSeconds = Math.ceil((bucket.burst - state.tokens) / (bucket.perMinute / 60)) + 1;
+    return store.set(BUCKET_KEY(route, kind, id), state, { ttlSeconds });
+  }));
+  return { allowed: true };
+}
+
+/**
+ * Check a request against its route's size cap and rate limits. False once
+ * it's been answered with 413 or 429:
+ *
+ *   if (!(await limitRequest(req, res, 'render'))) return;
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {string} route  a route in LIMITS
+ * @param {{ cost?: number }} [options]  cost is the tokens to take (e.g. a
+ *   batch's size), capped at a full bucket
+ */
+async function limitRequest(req, res, route, { cost = 1 } = {}) {
+  const config = loadLimits()[route];
+  if (!config) {
+    throw new Error(`Unknown rate limit route: ${route}`);
+  }
+  if (bodySize(req) > config.maxBytes) {
+    res.status(413).json({ error: `Request too large (at most ${Math.floor(config.maxBytes / 1024)} KB)` });
+    return false;
+  }
+
+  let result;
+  try {
+    result = await takeTokens(req, route, config, cost);
+  } catch (err) {
+    // A store outage shouldn't take the site down with it
+    console.error(`Rate limit check failed for ${route}:`, err);
+    return true;
+  }
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+    res.status(429).json({ error: TOO_MANY_REQUESTS, retryAfter: result.retryAfter });
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  LIMITS,
+  limitRequest,
+};
@@ -0,0 +1,153 @@
+const { getStore } = require('./store');
+
+/**
+ * Scheduled delivery
+ *
+ * A gift can be held back until a date and time the buyer picks, in their
+ * own timezone (a birthday morning, graduation day). The schedule is kept
+ * on the order:
+ *
+ *   order.scheduledDelivery  { localTime: '2027-05-09T09:00',
+ *                              timezone: 'America/Toronto',
+ *                              at: '2027-05-09T13:00:00.000Z' }
+ *
+ * Paid orders with a schedule are indexed under `scheduled-delivery:` until
+ * they're due; /api/deliveries (on a cron) hands due ones to email delivery.
+ */
+
+// Far enough out for any occasion, near enough that the order is still wanted
+const MAX_SCHEDULE_DAYS = 366;
+
+const SCHEDULE_KEY = (orderNumber) => `scheduled-delivery:${orderNumber}`;
+
+// ===========================================
+// HELPER: Timezones
+// ===========================================
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// How far ahead of UTC the timezone's wall clock is at an instant, in ms
+function timezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map(p => [p.type, Number(p.value)]));
+  const wallClock = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time happens in a timezone. A time that happens
+// twice when clocks fall back means the first; one skipped when they spring
+// forward lands an hour later, like a phone alarm would. Null for a time
+// that isn't on the calendar (2027-02-30, 24:00).
+function zonedTimeToUtc(localTime, timezone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(localTime);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Date.UTC rolls overflow into the next day or month instead of failing
+  if (hour > 23 || minute > 59 || !new Date(wallClock).toISOString().startsWith(localTime)) {
+    return null;
+  }
+
+  // A DST change that day only ever switches between these two offsets
+  const oneDay = 24 * 60 * 60 * 1000;
+  const candidates = [wallClock - oneDay, wallClock + oneDay]
+    .map(t => wallClock - timezoneOffset(new Date(t), timezone));
+  const exact = candidates.filter(t => wallClock - t === timezoneOffset(new Date(t), timezone));
+  return new Date(exact.length > 0 ? Math.min(...exact) : Math.max(...candidates));
+}
+
+/**
+ * Check a "deliver on" time from checkout.
+ *
+ * @param {string} localTime  'YYYY-MM-DDTHH:mm', as a datetime-local input gives it
+ * @param {string} timezone   an IANA timezone, e.g. 'America/Toronto'
+ * @returns {{ valid: false, reason: string } |
+ *   { valid: true, schedule: { localTime: string, timezone: string, at: string } }}
+ */
+function parseSchedule(localTime, timezone) {
+  if (!timezone || !isValidTimezone(timezone)) {
+    return { valid: false, reason: 'Please pick a valid timezone for the delivery date' };
+  }
+
+  const at = zonedTimeToUtc(String(localTime || ''), timezone);
+  if (!at || Number.isNaN(at.getTime())) {
+    return { valid: false, reason: 'Please pick a valid delivery date and time' };
+  }
+  if (at.getTime() <= Date.now()) {
+    return { valid: false, reason: 'The delivery date must be in the future' };
+  }
+  if (at.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { valid: false, reason: 'Deliveries can be scheduled up to a year ahead' };
+  }
+
+  return { valid: true, schedule: { localTime, timezone, at: at.toISOString() } };
+}
+
+/**
+ * Whether an order's delivery is being held for a later time.
+ */
+function isScheduledForLater(order) {
+  return Boolean(order.scheduledDelivery && Date.parse(order.scheduledDelivery.at) > Date.now());
+}
+
+/**
+ * A schedule as people read it, e.g.
+ * 'Sunday, May 9, 2027 at 9:00 AM (America/Toronto)'.
+ */
+function formatSchedule(schedule) {
+  const when = new Intl.DateTimeFormat('en-US', {
+    timeZone: schedule.timezone,
+    dateStyle: 'full',
+    timeStyle: 'short',
+  }).format(new Date(schedule.at));
+  return `${when} (${schedule.timezone})`;
+}
+
+/**
+ * Hold a paid order's delivery until its scheduled time.
+ */
+async function scheduleDelivery(order) {
+  await getStore().set(SCHEDULE_KEY(order.orderNumber), {
+    orderNumber: order.orderNumber,
+    at: order.scheduledDelivery.at,
+  });
+}
+
+/**
+ * Deliveries waiting for their time, soonest first.
+ */
+async function listScheduledDeliveries() {
+  const store = getStore();
+  const keys = await store.list(SCHEDULE_KEY(''));
+  const entries = await Promise.all(keys.map(key => store.get(key)));
+  return entries.filter(Boolean).sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Stop holding an order (it's been handed to delivery).
+ */
+async function unscheduleDelivery(orderNumber) {
+  await getStore().delete(SCHEDULE_KEY(orderNumber));
+}
+
+module.exports = {
+  parseSchedule,
+  isScheduledForLater,
+  formatSchedule,
+  scheduleDelivery,
+  listScheduledDeliveries,
+  unscheduleDelivery,
+};
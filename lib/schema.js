@@ -0,0 +1,204 @@
+const { listTemplates } = require('./templates');
+
+/**
+ * Input schema
+ *
+ * The certificate and order fields every route accepts, declared once.
+ * validate() tidies the input and checks it against a schema, answering
+ * with an error per field that the form can show next to the field.
+ * /api/schema serves the same rules to the front end, which checks them
+ * before submitting and builds its degree and faculty pickers from them.
+ *
+ * A field's rule:
+ *
+ *   label      how messages name the field
+ *   type       'text' (the default) or 'email'
+ *   required   must not be empty
+ *   maxLength  in characters. Every value can end up in Stripe metadata,
+ *              which takes at most 500 per value.
+ *   oneOf      the allowed values, or 'styles' for the template ids
+ *   default    preselected in the form
+ *
+ * Tidying normalizes Unicode (NFC), turns control characters and line
+ * breaks into spaces, drops invisible direction overrides, and collapses
+ * and trims whitespace. Joiners stay, so emoji sequences survive.
+ */
+
+const DEGREE_LEVELS = ['Bachelor', 'Master', 'PhD'];
+
+const FACULTIES = [
+  'Early Childhood Chaos & Strategic Resistance',
+  'Digital Communication & Emotional Regulation',
+  'Workplace Dynamics & Institutional Navigation',
+  'Professional Composure & Conflict Management',
+  'Personal Boundaries & Resource Protection',
+  'Domestic Strategy & Tactical Positioning',
+  'Household Systems & Operational Avoidance',
+  'Environmental Negotiation & Power Distribution',
+  'Social Etiquette & Interpersonal Diplomacy',
+  'Family Relations & Generational Navigation',
+  'Logical Systems & Human Translation',
+  'Companion Animal Stewardship & Devotional Economics',
+  'Neighbourly Relations & Acoustic Diplomacy',
+  'Provocation, Cultural Disruption & Persuasive Performance',
+];
+
+// RFC 5321 caps an address at 254 characters
+const EMAIL_MAX_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CONTROL_CHARACTERS = /[\u0000-\u001F\u007F-\u009F\u2028\u2029]/g;
+const DIRECTION_OVERRIDES = /[\u202A-\u202E\u2066-\u2069]/g;
+
+// ===========================================
+// FIELDS
+// ===========================================
+const NAME = { required: true, maxLength: 60 };
+const ACHIEVEMENT = { label: 'Achievement', maxLength: 200 };
+const EMAIL = { type: 'email', maxLength: EMAIL_MAX_LENGTH };
+
+const CERTIFICATE = {
+  firstName:         { ...NAME, label: 'First name' },
+  lastName:          { ...NAME, label: 'Last name' },
+  // Optional for renders, which leave the date line off without one
+  certificationDate: { label: 'Date of certification', maxLength: 80 },
+  degreeLevel:       { label: 'Degree level', required: true, oneOf: DEGREE_LEVELS, default: 'Master' },
+  faculty:           { label: 'Faculty', required: true, oneOf: FACULTIES },
+  achievement:       { ...ACHIEVEMENT, required: true },
+  style:             { label: 'Style', required: true, oneOf: 'styles' },
+};
+
+// A group's names come from its recipients
+const { firstName, lastName, ...GROUP_CERTIFICATE } = CERTIFICATE;
+
+const BUYER_EMAIL = { ...EMAIL, label: 'Your email', required: true };
+const ORDER_DATE = { ...CERTIFICATE.certificationDate, required: true };
+
+const SCHEMAS = {
+  // Previews and renders
+  certificate: CERTIFICATE,
+  // Checkout
+  order: {
+    ...CERTIFICATE,
+    certificationDate: ORDER_DATE,
+    buyerEmail: BUYER_EMAIL,
+    recipientEmail: { ...EMAIL, label: 'Recipient email' },
+  },
+  groupOrder: {
+    ...GROUP_CERTIFICATE,
+    certificationDate: ORDER_DATE,
+    buyerEmail: BUYER_EMAIL,
+  },
+  // One row of a group order; achievement overrides the group's
+  recipient: {
+    firstName: CERTIFICATE.firstName,
+    lastName: CERTIFICATE.lastName,
+    email: { ...EMAIL, label: 'Email' },
+    achievement: ACHIEVEMENT,
+  },
+  // The order portal
+  signIn: {
+    email: { ...EMAIL, label: 'Email', required: true },
+  },
+  nameCorrection: {
+    firstName: CERTIFICATE.firstName,
+    lastName: CERTIFICATE.lastName,
+  },
+};
+
+// ===========================================
+// HELPERS
+// ===========================================
+function tidy(value) {
+  return value
+    .normalize('NFC')
+    .replace(DIRECTION_OVERRIDES, '')
+    .replace(CONTROL_CHARACTERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function allowedValues(rule) {
+  return rule.oneOf === 'styles' ? listTemplates().map(template => template.id) : rule.oneOf;
+}
+
+// The error for one value, or null when it's fine
+function checkField(rule, value) {
+  if (!value) {
+    return rule.required ? `${rule.label} is required` : null;
+  }
+  if (rule.maxLength && [...value].length > rule.maxLength) {
+    return `${rule.label} can be at most ${rule.maxLength} characters`;
+  }
+  if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) {
+    return `${rule.label} must be a valid email address`;
+  }
+  if (rule.oneOf && !allowedValues(rule).includes(value)) {
+    return `${rule.label} must be one of the options offered`;
+  }
+  return null;
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+/**
+ * Tidy and check input against a schema.
+ *
+ * @param {string} name  a schema in SCHEMAS
+ * @param {object} input  e.g. a request body; fields outside the schema are
+ *                        ignored
+ * @returns {{ valid: true, values: object } |
+ *   { valid: false, reason: string, fields: Object<string, string> }}
+ *   values holds every schema field, tidied; fields maps each bad field to
+ *   its error, and reason is the first of them
+ */
+function validate(name, input) {
+  const schema = SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`Unknown schema: ${name}`);
+  }
+
+  const values = {};
+  const fields = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input ? input[field] : undefined;
+    if (raw != null && typeof raw !== 'string' && typeof raw !== 'number') {
+      fields[field] = `${rule.label} must be text`;
+      continue;
+    }
+    values[field] = raw == null ? '' : tidy(String(raw));
+    const error = checkField(rule, values[field]);
+    if (error) {
+      fields[field] = error;
+    }
+  }
+
+  const errors = Object.values(fields);
+  if (errors.length > 0) {
+    return { valid: false, reason: errors[0], fields };
+  }
+  return { valid: true, values };
+}
+
+/**
+ * Every schema as plain JSON for the front end, with the allowed styles
+ * filled in.
+ */
+function describeSchemas() {
+  const described = {};
+  for (const [name, schema] of Object.entries(SCHEMAS)) {
+    described[name] = {};
+    for (const [field, rule] of Object.entries(schema)) {
+      described[name][field] = { type: 'text', ...rule, ...(rule.oneOf ? { oneOf: allowedValues(rule) } : {}) };
+    }
+  }
+  return described;
+}
+
+module.exports = {
+  DEGREE_LEVELS,
+  FACULTIES,
+  validate,
+  describeSchemas,
+};
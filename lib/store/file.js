@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File store backend
+ *
+ * One JSON file per key under STORE_DIR (default .data/store in the
+ * working directory). Good enough for local development and single-process
+ * scripts; use the kv backend anywhere with concurrent writers.
+ */
+
+const STORE_DIR = process.env.STORE_DIR || path.join(process.cwd(), '.data', 'store');
+
+function fileFor(key) {
+  return path.join(STORE_DIR, `${encodeURIComponent(key)}.json`);
+}
+
+function read(key) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      fs.rmSync(fileFor(key), { force: true });
+      return null;
+    }
+    return entry;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function write(key, value, { ttlSeconds } = {}) {
+  fs.mkdirSync(STORE_DIR, { recursive: true });
+  const entry = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+
+  // Write-then-rename so readers never see a half-written file
+  const tmp = `${fileFor(key)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entry));
+  fs.renameSync(tmp, fileFor(key));
+}
+
+async function get(key) {
+  const entry = read(key);
+  return entry ? entry.value : null;
+}
+
+async function set(key, value, options) {
+  write(key, value, options);
+}
+
+async function setIfAbsent(key, value, options) {
+  if (read(key)) return false;
+  write(key, value, options);
+  return true;
+}
+
+async function del(key) {
+  fs.rmSync(fileFor(key), { force: true });
+}
+
+async function list(prefix = '') {
+  let files;
+  try {
+    files = fs.readdirSync(STORE_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return files
+    .filter(f => f.endsWith('.json'))
+    .map(f => decodeURIComponent(f.slice(0, -'.json'.length)))
+    .filter(key => key.startsWith(prefix) && read(key))
+    .sort();
+}
+
+async function incr(key, by = 1) {
+  const entry = read(key);
+  const value = (entry ? Number(entry.value) || 0 : 0) + by;
+  write(key, value, entry && entry.expiresAt ? { ttlSeconds: (entry.expiresAt - Date.now()) / 1000 } : {});
+  return value;
+}
+
+module.exports = { get, set, setIfAbsent, delete: del, list, incr };
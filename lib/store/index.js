@@ -0,0 +1,46 @@
+/**
+ * Key-value store
+ *
+ * A small async key-value interface with pluggable backends:
+ *
+ *   file  JSON files on local disk (default; for `vercel dev` and scripts)
+ *   kv    Vercel KV / Upstash Redis over its REST API (production)
+ *
+ * The backend is picked with STORE_BACKEND, or `kv` automatically when
+ * KV_REST_API_URL is set. On Vercel a function only has a /tmp that
+ * doesn't outlive the instance, so the file backend is refused there.
+ * Every backend implements:
+ *
+ *   get(key)                             -> value | null
+ *   set(key, value, { ttlSeconds })      -> void
+ *   setIfAbsent(key, value, { ttlSeconds }) -> true if written
+ *   delete(key)                          -> void
+ *   list(prefix)                         -> [key, ...]
+ *   incr(key, by = 1)                    -> new value
+ *
+ * Values are anything JSON-serializable.
+ */
+
+const BACKENDS = {
+  file: () => require('./file'),
+  kv: () => require('./kv'),
+};
+
+let store;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.STORE_BACKEND
+      || (process.env.KV_REST_API_URL ? 'kv' : (process.env.VERCEL ? null : 'file'));
+    if (!name || (name === 'file' && process.env.VERCEL)) {
+      throw new Error('Store not configured: set KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+    if (!BACKENDS[name]) {
+      throw new Error(`Unknown STORE_BACKEND: ${name}`);
+    }
+    store = BACKENDS[name]();
+  }
+  return store;
+}
+
+module.exports = { getStore };
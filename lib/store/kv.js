@@ -0,0 +1,74 @@
+/**
+ * KV store backend
+ *
+ * Vercel KV / Upstash Redis through the REST API, so no client library or
+ * persistent connection is needed from serverless functions.
+ *
+ * Env: KV_REST_API_URL, KV_REST_API_TOKEN
+ */
+
+const SCAN_BATCH = 500;
+
+async function command(...args) {
+  const url = process.env.KV_REST_API_URL;
+  const token = process.env.KV_REST_API_TOKEN;
+  if (!url || !token) {
+    throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN must be configured');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(args),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.error) {
+    throw new Error(`KV Error: ${response.status} - ${data.error || 'Unknown'}`);
+  }
+  return data.result;
+}
+
+function ttlArgs({ ttlSeconds } = {}) {
+  return ttlSeconds ? ['EX', Math.ceil(ttlSeconds)] : [];
+}
+
+async function get(key) {
+  const raw = await command('GET', key);
+  return raw == null ? null : JSON.parse(raw);
+}
+
+async function set(key, value, options) {
+  await command('SET', key, JSON.stringify(value), ...ttlArgs(options));
+}
+
+async function setIfAbsent(key, value, options) {
+  const result = await command('SET', key, JSON.stringify(value), 'NX', ...ttlArgs(options));
+  return result === 'OK';
+}
+
+async function del(key) {
+  await command('DEL', key);
+}
+
+async function list(prefix = '') {
+  // Escape glob characters so the prefix is matched literally
+  const pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+  const keys = new Set();
+  let cursor = '0';
+  do {
+    const [next, batch] = await command('SCAN', cursor, 'MATCH', pattern, 'COUNT', SCAN_BATCH);
+    batch.forEach(key => keys.add(key));
+    cursor = String(next);
+  } while (cursor !== '0');
+  return [...keys].sort();
+}
+
+async function incr(key, by = 1) {
+  return command('INCRBY', key, by);
+}
+
+module.exports = { get, set, setIfAbsent, delete: del, list, incr };
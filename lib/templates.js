@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const { FONT_FILES } = require('./fonts');
+
+/**
+ * Template registry
+ *
+ * Each diploma style is described by one manifest in /templates/<id>.json:
+ * background and thumbnail assets (in /public), text slots with positions
+ * and fonts, where the verification QR code goes, colors, text transforms
+ * and the tiers it can be sold as.
+ * Adding a style means adding a manifest and its images; nothing else.
+ *
+ * `renderer` picks how the style is drawn (see ./render):
+ *
+ *   local  (default) the background and slots above, with pdf-lib
+ *   canva  a Canva brand template, autofilled through the Canva API.
+ *          canva.brandTemplateId names it, and each slot names the
+ *          template's data field it fills ({ "field": "recipient_name" }),
+ *          with optional text, transform and maxLength. No background is
+ *          needed; the QR code and serial are still placed per qr.
+ *
+ * Manifests are validated when this module loads, so a broken manifest
+ * fails the deploy instead of the first customer's render.
+ */
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// Static assets aren't bundled with every function, so asset references are
+// only checked where public/ is on disk (local dev and the render functions)
+const PUBLIC_DIR = [
+  path.join(process.cwd(), 'public'),
+  path.join(__dirname, '..', 'public'),
+].find(dir => fs.existsSync(dir));
+
+// Slots a template can place, in drawing order, with the text each renders.
+// {placeholders} are filled from the certificate fields; a slot whose
+// placeholders come out empty (no certificationDate) is skipped.
+const SLOT_TEXT = {
+  name:        '{firstName} {lastName}',
+  dateLine:    'On this {certificationDate}, do bestow the degree of:',
+  degree:      '{degreeLevel} of {faculty}',
+  achievement: 'For outstanding achievement in {achievement}',
+};
+const REQUIRED_SLOTS = ['name', 'degree', 'achievement'];
+
+const TRANSFORMS = ['none', 'uppercase', 'lowercase'];
+const TIERS = ['digital', 'printed', 'framed'];
+const RENDERERS = ['local', 'canva'];
+
+// ===========================================
+// VALIDATION
+// ===========================================
+function validateManifest(manifest, file) {
+  const errors = [];
+  const check = (condition, message) => { if (!condition) errors.push(message); };
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const isAsset = (value) => /\.(png|jpe?g)$/i.test(value || '') &&
+    (!PUBLIC_DIR || fs.existsSync(path.join(PUBLIC_DIR, value)));
+
+  const renderer = manifest.renderer || 'local';
+  check(RENDERERS.includes(renderer), `renderer must be one of ${RENDERERS.join(', ')}`);
+  check(manifest.id === path.basename(file, '.json'), `id must match the filename ("${path.basename(file, '.json')}")`);
+  check(typeof manifest.name === 'string' && manifest.name, 'name is required');
+  check(isNumber(manifest.order), 'order must be a number');
+  // Canva styles draw their own, but may still name one
+  check(manifest.background === undefined && renderer !== 'local' || isAsset(manifest.background),
+    `background "${manifest.background}" not found in public/`);
+  check(isAsset(manifest.thumbnail), `thumbnail "${manifest.thumbnail}" not found in public/`);
+  check(/^#[0-9a-f]{6}$/i.test(manifest.textColor || ''), 'textColor must be a #rrggbb color');
+  check(manifest.qr && isNumber(manifest.qr.x) && isNumber(manifest.qr.y) && isNumber(manifest.qr.size) && manifest.qr.size > 0,
+    'qr needs x, y (lower-left corner) and size, in points');
+  check(Array.isArray(manifest.tiers) && manifest.tiers.length > 0 && manifest.tiers.every(t => TIERS.includes(t)),
+    `tiers must be a non-empty list of ${TIERS.join(', ')}`);
+  if (renderer === 'canva') {
+    check(manifest.canva && typeof manifest.canva.brandTemplateId === 'string' && manifest.canva.brandTemplateId,
+      'canva.brandTemplateId is required');
+  }
+
+  const slots = manifest.slots || {};
+  for (const slotName of REQUIRED_SLOTS) {
+    check(slots[slotName], `slots.${slotName} is required`);
+  }
+
+  for (const [slotName, slot] of Object.entries(slots)) {
+    const at = `slots.${slotName}`;
+    if (!SLOT_TEXT[slotName]) {
+      errors.push(`${at} is not a known slot (${Object.keys(SLOT_TEXT).join(', ')})`);
+      continue;
+    }
+    check(slot.text === undefined || typeof slot.text === 'string', `${at}.text must be a string`);
+    check(slot.transform === undefined || TRANSFORMS.includes(slot.transform), `${at}.transform must be one of ${TRANSFORMS.join(', ')}`);
+
+    if (renderer === 'canva') {
+      check(typeof slot.field === 'string' && slot.field, `${at}.field must name the brand template's data field`);
+      check(slot.maxLength === undefined || (Number.isInteger(slot.maxLength) && slot.maxLength > 0), `${at}.maxLength must be a positive integer`);
+      continue;
+    }
+
+    check(isNumber(slot.y), `${at}.y must be a number`);
+    check(isNumber(slot.fontSize), `${at}.fontSize must be a number`);
+    check(FONT_FILES[slot.font], `${at}.font "${slot.font}" is not a bundled font`);
+    check(slot.minFontSize === undefined || (isNumber(slot.minFontSize) && slot.minFontSize <= slot.fontSize),
+      `${at}.minFontSize must be a number no larger than fontSize`);
+    check(slot.maxWidth === undefined || isNumber(slot.maxWidth), `${at}.maxWidth must be a number`);
+    check(slot.maxLines === undefined || (Number.isInteger(slot.maxLines) && slot.maxLines > 0), `${at}.maxLines must be a positive integer`);
+    check(slot.color === undefined || /^#[0-9a-f]{6}$/i.test(slot.color), `${at}.color must be a #rrggbb color`);
+    check(slot.fallbacks === undefined || (Array.isArray(slot.fallbacks) && slot.fallbacks.every(f => FONT_FILES[f])),
+      `${at}.fallbacks must list bundled fonts`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid template manifest ${path.relative(process.cwd(), file)}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { ...manifest, renderer };
+}
+
+// ===========================================
+// LOADING
+// ===========================================
+function loadTemplates() {
+  const templates = new Map();
+  const files = fs.readdirSync(TEMPLATES_DIR).filter(f => f.endsWith('.json')).sort();
+
+  for (const filename of files) {
+    const file = path.join(TEMPLATES_DIR, filename);
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid template manifest ${filename}: ${err.message}`);
+    }
+    templates.set(manifest.id, Object.freeze(validateManifest(manifest, file)));
+  }
+
+  return templates;
+}
+
+const templates = loadTemplates();
+
+/**
+ * Look up a template by style id. Returns undefined for unknown styles.
+ */
+function getTemplate(id) {
+  return templates.get(id);
+}
+
+/**
+ * All templates in display order.
+ */
+function listTemplates() {
+  return [...templates.values()].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * The parts of a template the front end needs to build its style picker.
+ * Which renderer draws it isn't one of them.
+ */
+function describeTemplate(template) {
+  const { id, name, description, icon, thumbnail, tiers } = template;
+  // Shown until the first preview arrives
+  const background = template.background || template.thumbnail;
+  return { id, name, description, icon, thumbnail, background, tiers };
+}
+
+/**
+ * Text for each slot a template uses, with placeholders filled in and
+ * transforms applied. Slots with an empty placeholder are left out.
+ */
+function buildSlotText(template, fields) {
+  const text = {};
+
+  for (const [slotName, slot] of Object.entries(template.slots)) {
+    let empty = false;
+    let value = (slot.text || SLOT_TEXT[slotName]).replace(/\{(\w+)\}/g, (_, key) => {
+      const field = fields[key] == null ? '' : String(fields[key]);
+      if (!field) empty = true;
+      return field;
+    });
+    if (empty) continue;
+
+    if (slot.transform === 'uppercase') value = value.toUpperCase();
+    if (slot.transform === 'lowercase') value = value.toLowerCase();
+    text[slotName] = value;
+  }
+
+  return text;
+}
+
+module.exports = {
+  SLOT_TEXT,
+  getTemplate,
+  listTemplates,
+  describeTemplate,
+  buildSlotText,
+};
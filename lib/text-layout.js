@@ -0,0 +1,104 @@
+/**
+ * Text fitting for certificate slots
+ *
+ * Each slot has a preferred fontSize, a minFontSize, a maxWidth and a
+ * maxLines budget. Text is first shrunk on a single line; if it still
+ * doesn't fit at minFontSize it is wrapped across up to maxLines lines at
+ * that size. Whatever is left after that is ellipsized and reported as an
+ * overflow so callers can warn the buyer.
+ */
+
+const LINE_HEIGHT = 1.15;
+const FONT_SIZE_STEP = 0.5;
+const ELLIPSIS = '...';
+
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// What a reader sees as characters, so a break never splits an emoji or
+// an accent from its letter
+function characters(text) {
+  return Array.from(graphemes.segment(text), ({ segment }) => segment);
+}
+
+// Greedy word wrap. Words wider than maxWidth are broken by character.
+function wrapText(text, font, fontSize, maxWidth) {
+  const widthOf = (value) => font.widthOfTextAtSize(value, fontSize);
+  const lines = [];
+  let current = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (widthOf(candidate) <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) lines.push(current);
+    current = word;
+
+    let chars = characters(current);
+    while (widthOf(current) > maxWidth && chars.length > 1) {
+      let end = chars.length - 1;
+      while (end > 1 && widthOf(chars.slice(0, end).join('')) > maxWidth) end--;
+      lines.push(chars.slice(0, end).join(''));
+      chars = chars.slice(end);
+      current = chars.join('');
+    }
+  }
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+// Trim a line until it fits with a trailing ellipsis
+function ellipsize(line, font, fontSize, maxWidth) {
+  const chars = characters(line);
+  while (chars.length > 0 && font.widthOfTextAtSize(`${chars.join('')}${ELLIPSIS}`, fontSize) > maxWidth) {
+    chars.pop();
+  }
+  return `${chars.join('').trimEnd()}${ELLIPSIS}`;
+}
+
+/**
+ * Fit text into a slot.
+ *
+ * @param {string} text
+ * @param {PDFFont} font
+ * @param {{ fontSize: number, minFontSize?: number, maxWidth: number, maxLines?: number }} slot
+ * @returns {{ lines: string[], fontSize: number, lineHeight: number, fits: boolean }}
+ */
+function fitText(text, font, slot) {
+  const { fontSize, maxWidth } = slot;
+  const minFontSize = slot.minFontSize || fontSize;
+  const maxLines = slot.maxLines || 1;
+  const normalized = String(text).replace(/\s+/g, ' ').trim();
+  const result = (lines, size, fits) => ({ lines, fontSize: size, lineHeight: size * LINE_HEIGHT, fits });
+
+  // 1. Shrink on a single line
+  for (let size = fontSize; size >= minFontSize; size -= FONT_SIZE_STEP) {
+    if (font.widthOfTextAtSize(normalized, size) <= maxWidth) {
+      return result([normalized], size, true);
+    }
+  }
+
+  // 2. Wrap at the minimum size
+  const lines = wrapText(normalized, font, minFontSize, maxWidth);
+  if (lines.length <= maxLines) {
+    return result(lines, minFontSize, true);
+  }
+
+  // 3. Still too long: keep what fits and ellipsize the last line
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = ellipsize(lines.slice(maxLines - 1).join(' '), font, minFontSize, maxWidth);
+  return result(kept, minFontSize, false);
+}
+
+/**
+ * Baselines for a block of lines vertically centered on y.
+ */
+function blockBaselines(fitted, y) {
+  const offset = ((fitted.lines.length - 1) * fitted.lineHeight) / 2;
+  return fitted.lines.map((_, i) => y + offset - i * fitted.lineHeight);
+}
+
+module.exports = { fitText, wrapText, blockBaselines };
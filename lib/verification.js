@@ -0,0 +1,98 @@
+const { findOrderBySerial, updateOrder, isPaid } = require('./orders');
+const { signDownloadToken, verifyDownloadToken } = require('./download-token');
+const { publicUrl } = require('./public-url');
+
+/**
+ * Certificate verification
+ *
+ * Every certificate carries its serial number and a QR code linking to
+ * /verify/<serial>, which shows the graduate's name and degree from the
+ * order store. The holder (the recipient of a gift, otherwise the buyer)
+ * can hide those details: the page emails them a signed link, and the
+ * order's verificationPublic flag is changed when they follow it.
+ *
+ * Refunded certificates are revoked: the page says so and shows nothing else.
+ */
+
+// Signed like download tokens, in their own namespace so neither can stand
+// in for the other
+const PRIVACY_TOKEN_ID = (serial) => `verify:${serial}`;
+
+/**
+ * The public verification page for a serial, as encoded in the QR code.
+ */
+function verificationUrl(serial) {
+  return publicUrl(`/verify/${encodeURIComponent(serial)}`);
+}
+
+// Unpaid orders have serials too, but nothing to verify
+async function findCertificate(serial) {
+  const order = await findOrderBySerial(serial);
+  return isPaid(order) ? order : null;
+}
+
+function isRevoked(order) {
+  return order.status === 'refunded';
+}
+
+/**
+ * What the verification page shows for a serial, or null when no paid
+ * certificate has it.
+ */
+async function getVerification(serial) {
+  const order = await findCertificate(serial);
+  if (!order) return null;
+
+  if (isRevoked(order)) {
+    return { serial: order.serial, revoked: true, public: false };
+  }
+  if (order.verificationPublic === false) {
+    return { serial: order.serial, public: false };
+  }
+
+  const { firstName, lastName, degreeLevel, faculty, certificationDate } = order.certificate;
+  return {
+    serial: order.serial,
+    public: true,
+    name: `${firstName} ${lastName}`,
+    degree: `${degreeLevel} of ${faculty}`,
+    faculty,
+    certificationDate,
+  };
+}
+
+/**
+ * Email the certificate's holder a link for changing what the page shows.
+ *
+ * @returns {Promise<boolean>} false when no paid certificate has the serial
+ */
+async function requestPrivacyLink(serial) {
+  const order = await findCertificate(serial);
+  if (!order || isRevoked(order)) return false;
+
+  // Required here so verification pages and renders don't load the mailer
+  const { sendEmail } = require('./mailer');
+  const token = signDownloadToken(PRIVACY_TOKEN_ID(order.serial));
+  await sendEmail(order.recipientEmail || order.buyerEmail, 'verification-privacy', {
+    serial: order.serial,
+    manageUrl: `${verificationUrl(order.serial)}?token=${encodeURIComponent(token)}`,
+  });
+  return true;
+}
+
+/**
+ * Show or hide a certificate's details on the verification page.
+ *
+ * @returns {Promise<object|null>} the new verification view, or null when
+ *                                 the token isn't valid for the serial
+ */
+async function setVerificationPublic(serial, token, isPublic) {
+  const order = await findCertificate(serial);
+  if (!order || isRevoked(order) || verifyDownloadToken(token) !== PRIVACY_TOKEN_ID(order.serial)) {
+    return null;
+  }
+  await updateOrder(order.orderNumber, { verificationPublic: Boolean(isPublic) });
+  return getVerification(order.serial);
+}
+
+module.exports = { verificationUrl, getVerification, requestPrivacyLink, setVerificationPublic };
@@ -0,0 +1,134 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+/**
+ * ZIP archives
+ *
+ * Just enough of the ZIP format to hand a buyer several certificates as
+ * one download. Each file is deflated, or stored as is when that doesn't
+ * make it smaller (PDFs are mostly compressed already). Names are UTF-8.
+ * Archives are streamed out as their files are made.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const VERSION = 20;       // 2.0: deflate
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+// MS-DOS date and time, as ZIP headers carry them
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// ===========================================
+// HELPER: One file's local header, data and central directory entry
+// ===========================================
+function zipEntry(file, offset, { time, day }) {
+  const name = Buffer.from(file.name, 'utf8');
+  const data = Buffer.from(file.data);
+  const deflated = zlib.deflateRawSync(data);
+  const method = deflated.length < data.length ? DEFLATED : STORED;
+  const body = method === DEFLATED ? deflated : data;
+  const crc = zlib.crc32(data);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(LOCAL_HEADER, 0);
+  local.writeUInt16LE(VERSION, 4);
+  local.writeUInt16LE(UTF8_NAMES, 6);
+  local.writeUInt16LE(method, 8);
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(day, 12);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(body.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+  local.writeUInt16LE(0, 28);
+
+  const entry = Buffer.alloc(46);
+  entry.writeUInt32LE(CENTRAL_HEADER, 0);
+  entry.writeUInt16LE(VERSION, 4);
+  entry.writeUInt16LE(VERSION, 6);
+  entry.writeUInt16LE(UTF8_NAMES, 8);
+  entry.writeUInt16LE(method, 10);
+  entry.writeUInt16LE(time, 12);
+  entry.writeUInt16LE(day, 14);
+  entry.writeUInt32LE(crc, 16);
+  entry.writeUInt32LE(body.length, 20);
+  entry.writeUInt32LE(data.length, 24);
+  entry.writeUInt16LE(name.length, 28);
+  // Extra field, comment, disk number, attributes: all zero
+  entry.writeUInt32LE(offset, 42);
+
+  return { chunks: [local, name, body], central: Buffer.concat([entry, name]), size: local.length + name.length + body.length };
+}
+
+function closedError() {
+  return new Error('The stream closed before the archive was written');
+}
+
+function endOfCentralDirectory(count, directory, offset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+}
+
+/**
+ * Write a ZIP archive to a stream a file at a time, so a large download
+ * starts before its last file exists and never sits in memory whole.
+ *
+ * @param {import('stream').Writable} stream  e.g. an HTTP response
+ * @param {{ date?: Date }} [options]  modification time for every entry
+ * @returns {{ add(file: { name: string, data: Uint8Array|Buffer }): Promise<void>,
+ *   finish(): Promise<void> }}  finish() writes the directory and ends the stream
+ */
+function createZipWriter(stream, { date = new Date() } = {}) {
+  const stamp = dosDateTime(date);
+  const central = [];
+  let offset = 0;
+
+  // Wait for the stream to drain rather than buffering the whole archive.
+  // A stream that closes first (the client went away) never drains.
+  const write = async (chunk) => {
+    if (stream.destroyed) throw closedError();
+    if (stream.write(chunk)) return;
+
+    const waiting = new AbortController();
+    try {
+      const event = await Promise.race([
+        once(stream, 'drain', { signal: waiting.signal }).then(() => 'drain'),
+        once(stream, 'close', { signal: waiting.signal }).then(() => 'close'),
+      ]);
+      if (event === 'close') throw closedError();
+    } finally {
+      waiting.abort();
+    }
+  };
+
+  return {
+    async add(file) {
+      const entry = zipEntry(file, offset, stamp);
+      central.push(entry.central);
+      offset += entry.size;
+      for (const chunk of entry.chunks) {
+        await write(chunk);
+      }
+    },
+    async finish() {
+      const directory = Buffer.concat(central);
+      await write(directory);
+      stream.end(endOfCentralDirectory(central.length, directory, offset));
+    },
+  };
+}
+
+module.exports = { createZipWriter };
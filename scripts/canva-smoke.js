@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Canva smoke test
+ *
+ * Runs a preview and a cleanup against the fake Canva server, through the
+ * same lib code /api/preview and /api/cleanup use, with a throwaway file
+ * store:
+ *
+ *   1. a preview creates a design, registers it and returns its thumbnail
+ *   2. cleanup deletes it from Canva and forgets it
+ *   3. against a Canva that answers 404 without deleting, cleanup keeps
+ *      the design and reports the failure
+ *   4. a preview nobody polls to the end is finished by cleanup, and its
+ *      design deleted
+ *
+ *   node scripts/canva-smoke.js
+ */
+
+// Set before the lib code reads them
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canva-smoke-'));
+delete process.env.VERCEL;
+delete process.env.KV_REST_API_URL;
+process.env.STORE_BACKEND = 'file';
+process.env.STORE_DIR = storeDir;
+
+const { CanvaClient } = require('../lib/canva');
+const { startCanvaJob, waitForCanvaJob, settleAbandonedJobs } = require('../lib/canva-jobs');
+const { getDesign, purgeExpiredDesigns } = require('../lib/canva-designs');
+const { createFakeCanvaServer } = require('./fake-canva-server');
+
+const WAIT_MS = 5 * 1000;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(`FAILED: ${message}`);
+  }
+  console.log(`ok - ${message}`);
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// Every expired design is at least a millisecond old
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function startPreview(canva) {
+  return startCanvaJob(canva, 'preview', {
+    templateId: 'FAKE_TEMPLATE',
+    data: { name: { type: 'text', text: 'Ada Lovelace' } },
+    pageNumber: 1,
+  });
+}
+
+async function preview(canva) {
+  const started = await startPreview(canva);
+  return waitForCanvaJob(canva, started.id, { timeoutMs: WAIT_MS });
+}
+
+async function main() {
+  const servers = [createFakeCanvaServer(), createFakeCanvaServer({ deleteDesigns: false })];
+
+  try {
+    const [port, noDeletePort] = await Promise.all(servers.map(listen));
+    const canva = new CanvaClient('fake', { baseUrl: `http://127.0.0.1:${port}` });
+    const noDeleteCanva = new CanvaClient('fake', { baseUrl: `http://127.0.0.1:${noDeletePort}` });
+
+    // Preview
+    const job = await preview(canva);
+    check(job.status === 'success', `preview succeeds (${job.error || job.status})`);
+    const { designId, thumbnailUrl } = job.result;
+    check(servers[0].designs.has(designId), 'preview created a design on Canva');
+    check(/^http/.test(thumbnailUrl), 'preview returns a thumbnail URL');
+    check(Boolean(await getDesign(designId)), 'preview registered the design for cleanup');
+
+    // Cleanup
+    await tick();
+    const cleaned = await purgeExpiredDesigns(canva, { hours: 0, limit: 10 });
+    check(cleaned.cleaned === 1 && cleaned.errors === 0, `cleanup cleans the design (${JSON.stringify(cleaned)})`);
+    check(!servers[0].designs.has(designId), 'cleanup deleted the design on Canva');
+    check(!(await getDesign(designId)), 'cleanup forgot the design');
+
+    // Cleanup against a Canva that doesn't delete
+    const kept = await preview(noDeleteCanva);
+    await tick();
+    const refused = await purgeExpiredDesigns(noDeleteCanva, { hours: 0, limit: 10 });
+    check(refused.cleaned === 0 && refused.errors === 1, `a 404 that didn't delete isn't cleaned (${JSON.stringify(refused)})`);
+    check((await getDesign(kept.result.designId)).attempts === 1, 'the design stays registered for the next run');
+
+    // A preview started with { async: true } and never polled
+    const before = new Set(servers[0].designs.keys());
+    await startPreview(canva);
+    const [abandonedId] = [...servers[0].designs.keys()].filter(id => !before.has(id));
+    await tick();
+    const settled = await settleAbandonedJobs(canva, { olderThanMs: 0, limit: 10 });
+    check(settled === 1 && Boolean(await getDesign(abandonedId)), 'cleanup finishes an abandoned preview and registers its design');
+    await tick();
+    await purgeExpiredDesigns(canva, { hours: 0, limit: 10 });
+    check(!servers[0].designs.has(abandonedId) && !(await getDesign(abandonedId)), 'and then deletes its design');
+
+    console.log('Canva smoke test passed');
+  } finally {
+    servers.forEach(server => server.close());
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,158 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Fake Canva server
+ *
+ * Just enough of the Canva Connect API, kept in memory, to run previews,
+ * exports and cleanup locally. Point the app at it with
+ *
+ *   CANVA_API_BASE_URL=http://localhost:4010 CANVA_ACCESS_TOKEN=fake
+ *
+ * Serves:
+ *
+ *   POST   /autofill/create        a design, finished on the first poll
+ *   GET    /autofill/jobs/:id
+ *   POST   /exports                a PDF link, finished on the first poll
+ *   GET    /exports/:id
+ *   GET    /designs/:id
+ *   GET    /designs/:id/pages
+ *   DELETE /designs/:id            204, or 404 once it's gone
+ *   POST   /oauth/token            a new access token for any refresh
+ *
+ * With { deleteDesigns: false } (--no-delete), DELETE /designs/:id answers
+ * 404 for everything, as an API without the endpoint would.
+ *
+ *   node scripts/fake-canva-server.js [--port 4010] [--no-delete]
+ */
+
+const DEFAULT_PORT = 4010;
+
+// Paths with an id in them, e.g. GET /designs/abc/pages -> GET /designs/:id/pages
+const ROUTES = [
+  [/^\/autofill\/jobs\/[^/]+$/, '/autofill/jobs/:id'],
+  [/^\/exports\/[^/]+$/, '/exports/:id'],
+  [/^\/designs\/[^/]+\/pages$/, '/designs/:id/pages'],
+  [/^\/designs\/[^/]+$/, '/designs/:id'],
+];
+
+function routeOf(method, pathname) {
+  const match = ROUTES.find(([pattern]) => pattern.test(pathname));
+  return `${method} ${match ? match[1] : pathname}`;
+}
+
+function id(prefix) {
+  return `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function send(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    return res.end();
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function notFound(res, message) {
+  send(res, 404, { code: 'not_found', message });
+}
+
+async function readJson(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * @param {{ deleteDesigns?: boolean }} [options]
+ * @returns {http.Server} with .designs, the designs it holds by id
+ */
+function createFakeCanvaServer({ deleteDesigns = true } = {}) {
+  const designs = new Map();
+  const jobs = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fake-canva');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const route = routeOf(req.method, url.pathname);
+
+    if (route !== 'POST /oauth/token' && !/^Bearer \S+/.test(req.headers['authorization'] || '')) {
+      return send(res, 401, { code: 'invalid_access_token', message: 'Missing access token' });
+    }
+
+    try {
+      switch (route) {
+        case 'POST /autofill/create': {
+          const body = await readJson(req);
+          const designId = id('D');
+          const base = `http://${req.headers.host}/thumbnails/${designId}`;
+          designs.set(designId, {
+            id: designId,
+            title: `Autofill of ${body.brand_template_id}`,
+            data: body.data,
+            thumbnail: { width: 595, height: 842, url: `${base}.png` },
+            pages: [{ index: 1, thumbnail: { width: 595, height: 842, url: `${base}-1.png` } }],
+          });
+          const job = { id: id('AJ'), status: 'success', result: { type: 'create_design', design: { id: designId } } };
+          jobs.set(job.id, job);
+          return send(res, 200, { job: { id: job.id, status: 'in_progress' } });
+        }
+        case 'GET /autofill/jobs/:id':
+        case 'GET /exports/:id': {
+          const job = jobs.get(parts[parts.length - 1]);
+          return job ? send(res, 200, { job }) : notFound(res, 'Job not found');
+        }
+        case 'POST /exports': {
+          const body = await readJson(req);
+          if (!designs.has(body.design_id)) {
+            return notFound(res, 'Design not found');
+          }
+          const job = { id: id('EJ'), status: 'success', urls: [`http://${req.headers.host}/exports/${body.design_id}.pdf`] };
+          jobs.set(job.id, job);
+          return send(res, 200, { job: { id: job.id, status: 'in_progress' } });
+        }
+        case 'GET /designs/:id': {
+          const design = designs.get(parts[1]);
+          return design ? send(res, 200, { design }) : notFound(res, 'Design not found');
+        }
+        case 'GET /designs/:id/pages': {
+          const design = designs.get(parts[1]);
+          if (!design) {
+            return notFound(res, 'Design not found');
+          }
+          const offset = Number(url.searchParams.get('offset')) || 0;
+          const limit = Number(url.searchParams.get('limit')) || 50;
+          return send(res, 200, { items: design.pages.slice(offset, offset + limit) });
+        }
+        case 'DELETE /designs/:id': {
+          if (!deleteDesigns || !designs.delete(parts[1])) {
+            return notFound(res, 'Not found');
+          }
+          return send(res, 204);
+        }
+        case 'POST /oauth/token':
+          return send(res, 200, { access_token: id('fake-access-'), refresh_token: id('fake-refresh-'), expires_in: 14400 });
+        default:
+          return notFound(res, `No fake for ${req.method} ${url.pathname}`);
+      }
+    } catch (err) {
+      send(res, 400, { code: 'bad_request', message: err.message });
+    }
+  });
+
+  server.designs = designs;
+  return server;
+}
+
+module.exports = { createFakeCanvaServer };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portArg = args.indexOf('--port');
+  const port = portArg >= 0 ? Number(args[portArg + 1]) : DEFAULT_PORT;
+  const server = createFakeCanvaServer({ deleteDesigns: !args.includes('--no-delete') });
+  server.listen(port, () => {
+    console.log(`Fake Canva at http://localhost:${port} (CANVA_API_BASE_URL)`);
+  });
+}